@@ -0,0 +1,204 @@
+// audit.js  (module; background.js appends, popup.js reads and exports)
+// Local audit log: one entry per conversation POST content.js makes, sent or
+// failed, so "did we already message this class, and what did it say?" can
+// be answered without the shared claim store. Subjects and bodies are stored
+// once a day, keyed by their SHA-256, and entries carry the hashes.
+//
+// --- Audit log schema in storage.local ---
+// {
+//   auditIndex: { "<yyyy-mm-dd>": { count, bytes } } | undefined,
+//   "auditLog:<yyyy-mm-dd>": {
+//     entries: [{
+//       id: "<uuid>", at: 1690000000000, origin: "https://<canvas host>",
+//       mode: "bulk" | "personalized" | "single" | "test",
+//       courseId, courseCode, courseName, sectionId, sectionName,
+//       groupId, groupName  (group sends, otherwise null),
+//       termKey, termLabel, jobId,
+//       subjectHash: "<sha-256 hex>", bodyHash: "<sha-256 hex>",
+//       recipientIds: [1, 2], conversationIds: [10, 11], attachmentIds: [5],
+//       transport: "rest" | "graphql", fallbackFrom: "graphql" | null,
+//       status: "sent" | "failed", error: "<message>" | null
+//     }],
+//     texts: { "<sha-256 hex>": "<subject or body>" }
+//   } | undefined
+// }
+// One key per (UTC) day, so an append rewrites that day and the small index
+// only. storage.local is shared with the checkpoints, the send job and the
+// local claim store, so the log is capped by size: the oldest days go once
+// it passes MAX_AUDIT_BYTES. The single auditLog/auditTexts keys of older
+// versions are moved over by the first append (background.js is the only
+// writer); until then loadAudit reads them as they are.
+
+const INDEX_KEY = "auditIndex";
+const DAY_PREFIX = "auditLog:";
+const LEGACY_KEYS = ["auditLog", "auditTexts"];
+export const MAX_AUDIT_BYTES = 3 * 1024 * 1024;
+// Appends arriving together (every POST of a chunked send) share one write
+const FLUSH_DELAY_MS = 500;
+
+export async function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(String(text ?? ""));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const dayOf = (at) => new Date(at).toISOString().slice(0, 10);
+const dayKey = (day) => `${DAY_PREFIX}${day}`;
+const sizeOf = (bucket) => JSON.stringify(bucket).length;
+
+// Older versions kept everything under two keys
+async function migrateLegacy() {
+  const data = await chrome.storage.local.get([INDEX_KEY, ...LEGACY_KEYS]);
+  const legacy = data.auditLog;
+  if (!legacy) return data[INDEX_KEY] || {};
+  const texts = data.auditTexts || {};
+  const buckets = {};
+  for (const e of legacy) {
+    const b = buckets[dayOf(e.at)] ||= { entries: [], texts: {} };
+    b.entries.push(e);
+    for (const h of [e.subjectHash, e.bodyHash]) {
+      if (h in texts) b.texts[h] = texts[h];
+    }
+  }
+  const index = { ...data[INDEX_KEY] };
+  const writes = {};
+  for (const [day, b] of Object.entries(buckets)) {
+    index[day] = { count: b.entries.length, bytes: sizeOf(b) };
+    writes[dayKey(day)] = b;
+  }
+  await chrome.storage.local.set({ ...writes, [INDEX_KEY]: index });
+  await chrome.storage.local.remove(LEGACY_KEYS);
+  return index;
+}
+
+// Oldest days go first; today's stays even when it alone is over the cap
+function daysToDrop(index, today) {
+  const days = Object.keys(index).sort();
+  let total = days.reduce((n, d) => n + index[d].bytes, 0);
+  const drop = [];
+  for (const d of days) {
+    if (total <= MAX_AUDIT_BYTES || d === today) break;
+    total -= index[d].bytes;
+    drop.push(d);
+  }
+  return drop;
+}
+
+// Several tabs can report at once: appends wait in `pending` and one flush
+// at a time writes them, a day's bucket per write
+let pending = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+function flushSoon() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushing = flushing.then(flush).catch((e) =>
+      console.warn("audit write failed", e)
+    );
+  }, FLUSH_DELAY_MS);
+}
+
+async function flush() {
+  const batch = pending;
+  pending = [];
+  if (!batch.length) return;
+  const index = await migrateLegacy();
+  const byDay = new Map();
+  for (const item of batch) {
+    const day = dayOf(item.entry.at);
+    byDay.set(day, [...(byDay.get(day) || []), item]);
+  }
+  const writes = {};
+  for (const [day, items] of byDay) {
+    const key = dayKey(day);
+    const data = await chrome.storage.local.get([key]);
+    const bucket = data[key] || { entries: [], texts: {} };
+    for (const { entry, texts } of items) {
+      bucket.entries.push(entry);
+      Object.assign(bucket.texts, texts);
+    }
+    index[day] = { count: bucket.entries.length, bytes: sizeOf(bucket) };
+    writes[key] = bucket;
+  }
+  const drop = daysToDrop(index, dayOf(Date.now()));
+  drop.forEach((d) => delete index[d]);
+  await chrome.storage.local.set({ ...writes, [INDEX_KEY]: index });
+  if (drop.length) await chrome.storage.local.remove(drop.map(dayKey));
+}
+
+// record: the entry fields above, with plain `subject` and `body` instead of
+// the hashes
+export async function appendAudit(record) {
+  const { subject, body, ...rest } = record;
+  const [subjectHash, bodyHash] = await Promise.all([
+    sha256Hex(subject),
+    sha256Hex(body),
+  ]);
+  const entry = {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    ...rest,
+    subjectHash,
+    bodyHash,
+    recipientIds: rest.recipientIds || [],
+    conversationIds: rest.conversationIds || [],
+    attachmentIds: rest.attachmentIds || [],
+    error: rest.error || null,
+  };
+  pending.push({
+    entry,
+    texts: {
+      [subjectHash]: String(subject ?? ""),
+      [bodyHash]: String(body ?? ""),
+    },
+  });
+  flushSoon();
+  return entry;
+}
+
+// Every day's entries (oldest first) and texts, merged
+export async function loadAudit() {
+  const data = await chrome.storage.local.get([INDEX_KEY, ...LEGACY_KEYS]);
+  const keys = Object.keys(data[INDEX_KEY] || {}).sort().map(dayKey);
+  Object.assign(data, keys.length ? await chrome.storage.local.get(keys) : {});
+  const entries = [...(data.auditLog || [])];
+  const texts = { ...data.auditTexts };
+  for (const key of keys) {
+    entries.push(...(data[key]?.entries || []));
+    Object.assign(texts, data[key]?.texts);
+  }
+  return { entries, texts };
+}
+
+// Flat rows for CSV/JSON export, newest first, with the texts filled in
+export function auditRows(entries, texts) {
+  return entries.slice().reverse().map((e) => ({
+    at: new Date(e.at).toISOString(),
+    status: e.status,
+    origin: e.origin,
+    mode: e.mode || "",
+    term: e.termLabel || e.termKey || "",
+    course_id: e.courseId,
+    course_code: e.courseCode || "",
+    course_name: e.courseName || "",
+    section_id: e.sectionId ?? "",
+    section_name: e.sectionName || "",
+    group_id: e.groupId ?? "",
+    group_name: e.groupName || "",
+    subject: texts[e.subjectHash] ?? "",
+    body: texts[e.bodyHash] ?? "",
+    subject_hash: e.subjectHash,
+    body_hash: e.bodyHash,
+    recipients: e.recipientIds.length,
+    recipient_ids: e.recipientIds.join(" "),
+    conversation_ids: e.conversationIds.join(" "),
+    attachment_ids: (e.attachmentIds || []).join(" "),
+    transport: e.transport || "",
+    fallback_from: e.fallbackFrom || "",
+    error: e.error || "",
+  }));
+}
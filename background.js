@@ -3,95 +3,317 @@
 //   csrfHeader: { value: "<X-CSRF-Token>", seenAt: 1690000000000 } | undefined,
 //   csrfCookie: { value: "<_csrf_token cookie>", seenAt: 1690000000000 } | undefined
 // }
+//
+// --- Send transport schema in storage.local ---
+// {
+//   graphqlSeen: { "<canvas host>": 1690000000000 } | undefined,
+//   sendTransport: { "<canvas host>": "auto" | "rest" | "graphql" } | undefined
+// }
+//
+// Send jobs (sendJob) are described in jobs.js, scheduled sends
+// (scheduledSends) in schedule.js, the send history (auditIndex and one
+// auditLog:<day> key per day) in audit.js, reply tracking (replyTracker) in
+// replies.js.
+
+import "./domains.js";
+import { appendAudit } from "./audit.js";
+import { readLatestCsrf } from "./csrf.js";
+import { getSuppressions } from "./db.js";
+import {
+  cancelJob,
+  getJob,
+  handleProgressMessage,
+  resumeInterruptedJob,
+  startJob,
+} from "./jobs.js";
+import {
+  ensureReplyPolling,
+  handleReplyAlarm,
+  pollRepliesNow,
+} from "./replies.js";
+import {
+  cancelScheduled,
+  handleAlarm,
+  listScheduled,
+  scheduleSend,
+  syncScheduleAlarms,
+  updateScheduled,
+} from "./schedule.js";
 
-const API_URL_FILTER = {
-  urls: [
-    "https://*.instructure.com/*",
-    "https://canvas.wisc.edu/*",
-    "https://webcourses.ucf.edu/*",
-    "https://bruinlearn.ucla.edu/*",
-    "https://canvas.fsu.edu/*",
-    "https://canvas.*.edu/*",
-    "https://canvas.tamu.edu/*",
-  ],
-};
+const Domains = globalThis.CourseLynxDomains;
 
 // Prefer tokens from request headers (X-CSRF-Token) because that's what Canvas UI actually uses.
 // We also track the most recent _csrf_token seen in Set-Cookie response headers as a fallback.
 
+// GraphQL traffic is chatty; one storage write per host per minute is plenty.
+const _graphqlSeenWrites = new Map();
+function rememberGraphqlSeen(host) {
+  const last = _graphqlSeenWrites.get(host) || 0;
+  if (Date.now() - last < 60000) return;
+  _graphqlSeenWrites.set(host, Date.now());
+  chrome.storage.local.get(["graphqlSeen"], (data) => {
+    const graphqlSeen = data.graphqlSeen || {};
+    graphqlSeen[host] = Date.now();
+    chrome.storage.local.set({ graphqlSeen });
+  });
+}
+
 // Capture outgoing request header (works for REST or GraphQL).
-chrome.webRequest.onBeforeSendHeaders.addListener(
-  (details) => {
-    // Only care about /api/* calls (REST or graphql) for noise reduction
-    if (!/\/api\//.test(details.url)) return;
-
-    let found = null;
-    for (const h of details.requestHeaders || []) {
-      if (h.name.toLowerCase() === "x-csrf-token" && h.value) {
-        found = h.value;
-        break;
-      }
-    }
-    if (found) {
-      chrome.storage.local.set({
-        csrfHeader: { value: found, seenAt: Date.now() },
-      });
+function onBeforeSendHeaders(details) {
+  // Only care about /api/* calls (REST or graphql) for noise reduction
+  if (!/\/api\//.test(details.url)) return;
+
+  // Tenants whose Inbox UI talks GraphQL get the GraphQL send path in "auto"
+  if (/\/api\/graphql\b/.test(details.url)) {
+    rememberGraphqlSeen(new URL(details.url).host);
+  }
+
+  let found = null;
+  for (const h of details.requestHeaders || []) {
+    if (h.name.toLowerCase() === "x-csrf-token" && h.value) {
+      found = h.value;
+      break;
     }
-  },
-  API_URL_FILTER,
-  ["requestHeaders"],
-);
+  }
+  if (found) {
+    chrome.storage.local.set({
+      csrfHeader: { value: found, seenAt: Date.now() },
+    });
+  }
+}
 
 // Capture response Set-Cookie for _csrf_token (rotates frequently).
-chrome.webRequest.onHeadersReceived.addListener(
-  (details) => {
-    const headers = details.responseHeaders || [];
-    for (const h of headers) {
-      if (
-        h.name.toLowerCase() === "set-cookie" && typeof h.value === "string"
-      ) {
-        // There can be multiple Set-Cookie headers in a single callback; each is handled
-        const match = h.value.match(/(?:^|;\s*)_csrf_token=([^;]+)/i);
-        if (match && match[1]) {
-          try {
-            const raw = match[1];
-            // Values are often URL-escaped
-            const unescaped = decodeURIComponent(raw);
-            chrome.storage.local.set({
-              csrfCookie: { value: unescaped, seenAt: Date.now() },
-            });
-          } catch {
-            chrome.storage.local.set({
-              csrfCookie: { value: match[1], seenAt: Date.now() },
-            });
-          }
+function onHeadersReceived(details) {
+  const headers = details.responseHeaders || [];
+  for (const h of headers) {
+    if (
+      h.name.toLowerCase() === "set-cookie" && typeof h.value === "string"
+    ) {
+      // There can be multiple Set-Cookie headers in a single callback; each is handled
+      const match = h.value.match(/(?:^|;\s*)_csrf_token=([^;]+)/i);
+      if (match && match[1]) {
+        try {
+          const raw = match[1];
+          // Values are often URL-escaped
+          const unescaped = decodeURIComponent(raw);
+          chrome.storage.local.set({
+            csrfCookie: { value: unescaped, seenAt: Date.now() },
+          });
+        } catch {
+          chrome.storage.local.set({
+            csrfCookie: { value: match[1], seenAt: Date.now() },
+          });
         }
       }
     }
-  },
-  API_URL_FILTER,
-  ["responseHeaders"],
-);
+  }
+}
+
+// webRequest filters can't be edited in place: drop and re-add the
+// listeners whenever the domain registry changes.
+function registerHeaderListeners(hosts) {
+  const filter = { urls: Domains.matchPatternsFor(hosts) };
+  chrome.webRequest.onBeforeSendHeaders.removeListener(onBeforeSendHeaders);
+  chrome.webRequest.onHeadersReceived.removeListener(onHeadersReceived);
+  chrome.webRequest.onBeforeSendHeaders.addListener(
+    onBeforeSendHeaders,
+    filter,
+    ["requestHeaders"],
+  );
+  chrome.webRequest.onHeadersReceived.addListener(
+    onHeadersReceived,
+    filter,
+    ["responseHeaders"],
+  );
+}
+
+// Built-in hosts synchronously (so events wake the worker), then the full list
+registerHeaderListeners(Domains.BUILTIN_CANVAS_HOSTS);
+
+// Custom domains only count once their optional host permission is granted
+async function grantedCustomDomains() {
+  const custom = await Domains.getCustomDomains();
+  const granted = [];
+  for (const host of custom) {
+    const ok = await chrome.permissions.contains({
+      origins: Domains.matchPatternsFor([host]),
+    });
+    if (ok) granted.push(host);
+  }
+  return granted;
+}
+
+// Bring webRequest filters and the dynamic content script in line with the
+// registry. Newly added domains also get content.js injected into open tabs.
+async function syncCanvasDomains({ injectInto = [] } = {}) {
+  const custom = await grantedCustomDomains();
+  registerHeaderListeners([...Domains.BUILTIN_CANVAS_HOSTS, ...custom]);
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({
+    ids: [Domains.CUSTOM_SCRIPT_ID],
+  });
+  if (existing.length) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [Domains.CUSTOM_SCRIPT_ID],
+    });
+  }
+  if (custom.length) {
+    await chrome.scripting.registerContentScripts([{
+      id: Domains.CUSTOM_SCRIPT_ID,
+      matches: Domains.matchPatternsFor(custom),
+      js: ["domains.js", "content.js"],
+      runAt: "document_idle",
+      persistAcrossSessions: true,
+    }]);
+  }
+
+  const fresh = injectInto.filter((h) => custom.includes(h));
+  if (fresh.length) {
+    const tabs = await chrome.tabs.query({
+      url: Domains.matchPatternsFor(fresh),
+    });
+    for (const tab of tabs) {
+      chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ["domains.js", "content.js"],
+      }).catch(() => {});
+    }
+  }
+}
+
+syncCanvasDomains().catch((e) => console.warn("domain sync failed", e));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  const change = changes[Domains.CUSTOM_DOMAINS_KEY];
+  if (area !== "local" || !change) return;
+  const before = new Set(change.oldValue || []);
+  const added = (change.newValue || []).filter((h) => !before.has(h));
+  syncCanvasDomains({ injectInto: added }).catch((e) =>
+    console.warn("domain sync failed", e)
+  );
+});
+
+// Revoking a host permission in chrome://extensions drops the domain too
+chrome.permissions.onRemoved.addListener(async ({ origins = [] }) => {
+  const custom = await Domains.getCustomDomains();
+  const keep = custom.filter((h) =>
+    !origins.includes(Domains.matchPatternsFor([h])[0])
+  );
+  if (keep.length !== custom.length) await Domains.setCustomDomains(keep);
+});
+
+// A job left "running" by a previous worker instance carries on here
+resumeInterruptedJob().catch((e) => console.warn("job resume failed", e));
+
+chrome.alarms.onAlarm.addListener(handleAlarm);
+syncScheduleAlarms().catch((e) => console.warn("schedule sync failed", e));
+
+chrome.alarms.onAlarm.addListener(handleReplyAlarm);
+ensureReplyPolling().catch((e) => console.warn("reply polling failed", e));
+
+// Promise-returning handlers answer { ok: true, ...fields } or the error
+function respond(promise, sendResponse) {
+  promise
+    .then((fields) => sendResponse({ ok: true, ...fields }))
+    .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+  return true; // async
+}
 
 // Expose a small API to content/popup.
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (handleProgressMessage(msg, sender)) return;
+
   if (msg?.type === "GET_LATEST_CSRF") {
-    chrome.storage.local.get(["csrfHeader", "csrfCookie"], (data) => {
-      // Prefer header value (what UI actually used), else cookie
-      const chosen = (data.csrfHeader && data.csrfHeader.value) ||
-        (data.csrfCookie && data.csrfCookie.value) ||
-        null;
+    readLatestCsrf().then(({ csrf, sources }) => {
+      sendResponse({ ok: true, csrf, sources });
+    });
+    return true; // async
+  }
+
+  // Roster filters in content.js skip these users
+  if (msg?.type === "GET_SUPPRESSIONS") {
+    return respond(
+      getSuppressions({ canvasDomain: msg.host }).then((rows) => ({
+        userIds: rows.map((r) => Number(r.user_id)),
+      })),
+      sendResponse,
+    );
+  }
+
+  // content.js reports every conversation POST; this is the only writer
+  if (msg?.type === "AUDIT_APPEND") {
+    return respond(appendAudit(msg.record).then(() => ({})), sendResponse);
+  }
+
+  if (msg?.type === "POLL_REPLIES_NOW") {
+    return respond(
+      pollRepliesNow().then((tracker) => ({ tracker })),
+      sendResponse,
+    );
+  }
+
+  if (msg?.type === "START_SEND_JOB") {
+    return respond(startJob(msg.spec).then((job) => ({ job })), sendResponse);
+  }
 
+  if (msg?.type === "GET_ACTIVE_JOB") {
+    getJob().then((job) => sendResponse({ ok: true, job }));
+    return true;
+  }
+
+  if (msg?.type === "CANCEL_SEND_JOB") {
+    cancelJob().then((job) => sendResponse({ ok: true, job }));
+    return true;
+  }
+
+  if (msg?.type === "SCHEDULE_SEND") {
+    return respond(
+      scheduleSend(msg.spec).then((entry) => ({ entry })),
+      sendResponse,
+    );
+  }
+
+  if (msg?.type === "LIST_SCHEDULED") {
+    return respond(
+      listScheduled().then((scheduled) => ({ scheduled })),
+      sendResponse,
+    );
+  }
+
+  if (msg?.type === "UPDATE_SCHEDULED") {
+    return respond(
+      updateScheduled(msg.id, msg.patch || {}).then((entry) => ({ entry })),
+      sendResponse,
+    );
+  }
+
+  if (msg?.type === "CANCEL_SCHEDULED") {
+    return respond(
+      cancelScheduled(msg.id).then((scheduled) => ({ scheduled })),
+      sendResponse,
+    );
+  }
+
+  if (msg?.type === "GET_SEND_TRANSPORT") {
+    chrome.storage.local.get(["sendTransport", "graphqlSeen"], (data) => {
       sendResponse({
         ok: true,
-        csrf: chosen || null,
-        sources: {
-          header: data.csrfHeader || null,
-          cookie: data.csrfCookie || null,
-        },
+        mode: data.sendTransport?.[msg.host] || "auto",
+        graphqlSeenAt: data.graphqlSeen?.[msg.host] || null,
       });
     });
-    return true; // async
+    return true;
+  }
+
+  if (msg?.type === "SET_SEND_TRANSPORT") {
+    chrome.storage.local.get(["sendTransport"], (data) => {
+      const sendTransport = data.sendTransport || {};
+      sendTransport[msg.host] = msg.mode || "auto";
+      chrome.storage.local.set({ sendTransport }, () => {
+        sendResponse({ ok: true });
+      });
+    });
+    return true;
   }
 
   if (msg?.type === "CLEAR_CSRF_CACHE") {
@@ -0,0 +1,102 @@
+// compose.js  (module; used by popup.js and the background job runner)
+// Message composer: subject/body templates with {placeholders} that are
+// rendered per course and per section at send time.
+
+import { getTermLabel, joinUrlFor } from "./courses.js";
+
+export const DEFAULT_SUBJECT = "Join the CourseLynx group chat";
+
+// Placeholders the composer knows about, in the order the UI lists them
+export const PLACEHOLDERS = [
+  "course_name",
+  "course_code",
+  "term",
+  "section_name",
+  "join_link",
+  "sender_name",
+];
+
+// Filled in by content.js for each student when sending per recipient
+export const RECIPIENT_PLACEHOLDERS = ["first_name", "full_name"];
+
+// Replace {name} tokens that have a value in `vars`; anything else (typos,
+// or tokens rendered later such as {first_name}) is left untouched.
+export function renderTemplate(text, vars) {
+  return String(text || "").replace(/\{([a-z_]+)\}/g, (whole, key) => {
+    const v = vars[key];
+    return v == null ? whole : String(v);
+  });
+}
+
+export function usesPlaceholder(text, key) {
+  return String(text || "").includes(`{${key}}`);
+}
+
+// With perRecipient, a whole-course send keeps {section_name} so each
+// student gets the name of their own section.
+export function messageVars(
+  { course, sectionName, termLabel, joinUrl, senderName, perRecipient },
+) {
+  return {
+    course_name: course?.name || "",
+    course_code: course?.course_code || "",
+    term: termLabel || "",
+    section_name: sectionName ||
+      (perRecipient ? null : course?.name || ""),
+    join_link: joinUrl || "",
+    sender_name: senderName || "",
+  };
+}
+
+// { subject, body } as one course/section will receive it
+export function renderMessage(draft, ctx) {
+  const vars = messageVars(ctx);
+  return {
+    subject: renderTemplate(draft.subject, vars).trim(),
+    body: renderTemplate(draft.body, vars),
+  };
+}
+
+// Attachments are files of one Canvas account on one host
+export function assertAttachmentHost(draft, host) {
+  const attachment = draft?.attachment;
+  if (attachment && attachment.host !== host) {
+    throw new Error(
+      `The attachment was uploaded to ${attachment.host}; attach it again ` +
+        `on ${host}.`,
+    );
+  }
+}
+
+// Rendered { subject, body } per section id (0 = whole course) for a course.
+// senderName comes from FETCH_SELF; pass null to leave {sender_name} as is.
+// perRecipient leaves {section_name} of a whole-course send for content.js.
+// linkSettings (getJoinLinkSettings) applies the saved join-link overrides.
+export function renderCourseMessages({
+  draft,
+  host,
+  course,
+  sectionIds,
+  sectionNames,
+  senderName,
+  perRecipient = false,
+  linkSettings = null,
+}) {
+  const joinUrl = joinUrlFor(host, course, linkSettings);
+  const termLabel = getTermLabel(course);
+  const out = new Map();
+  for (const sid of sectionIds) {
+    out.set(
+      sid,
+      renderMessage(draft, {
+        course,
+        sectionName: sid === 0 ? null : sectionNames.get(sid),
+        termLabel,
+        joinUrl,
+        senderName,
+        perRecipient,
+      }),
+    );
+  }
+  return { joinUrl, messages: out };
+}
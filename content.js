@@ -1,6 +1,6 @@
 // ========= content.js =========
 
-// -------- Retry / keep-alive helpers --------
+// -------- Retry helpers --------
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -35,15 +35,121 @@ async function withRetries(
   throw lastErr;
 }
 
+// -------- Canvas request scheduler --------
+// Canvas throttles each user with a leaky bucket and reports it on every API
+// response: X-Rate-Limit-Remaining (what is left) and X-Request-Cost (what
+// the call used). All API calls queue here. Reads run in parallel while the
+// bucket is healthy; writes (conversation POSTs) go one at a time with a
+// gap. Both slow down as the bucket drains, and a 429 pauses everything.
+const RATE_TIERS = [
+  // projected remaining >= min -> read concurrency and gaps (ms)
+  { min: 300, reads: 6, readGap: 0, writeGap: 300 },
+  { min: 100, reads: 2, readGap: 250, writeGap: 800 },
+  { min: -Infinity, reads: 1, readGap: 1000, writeGap: 2000 },
+];
+const MAX_IN_FLIGHT = 6;
+
+const requestScheduler = {
+  remaining: null, // last X-Rate-Limit-Remaining
+  avgCost: 1, // moving average of X-Request-Cost
+  pausedUntil: 0,
+  strikes: 0, // 429s in a row
+  inFlight: 0,
+  lanes: {
+    read: { active: 0, lastStart: 0, queue: [] },
+    write: { active: 0, lastStart: 0, queue: [] },
+  },
+  _timer: null,
+
+  // Requests already in flight will spend from the bucket too
+  tier() {
+    const projected = this.remaining == null
+      ? Infinity
+      : this.remaining - this.inFlight * this.avgCost;
+    return RATE_TIERS.find((t) => projected >= t.min);
+  },
+
+  limits(lane) {
+    const t = this.tier();
+    return lane === "write"
+      ? { concurrency: 1, gap: t.writeGap }
+      : { concurrency: t.reads, gap: t.readGap };
+  },
+
+  // Resolves with a release() to call once the response is in
+  acquire(lane) {
+    return new Promise((resolve) => {
+      this.lanes[lane].queue.push(resolve);
+      this.pump();
+    });
+  },
+
+  pump() {
+    clearTimeout(this._timer);
+    const now = Date.now();
+    let wait = Infinity;
+    for (const [name, lane] of Object.entries(this.lanes)) {
+      while (lane.queue.length) {
+        const { concurrency, gap } = this.limits(name);
+        if (lane.active >= concurrency || this.inFlight >= MAX_IN_FLIGHT) {
+          break;
+        }
+        const readyAt = Math.max(this.pausedUntil, lane.lastStart + gap);
+        if (readyAt > now) {
+          wait = Math.min(wait, readyAt - now);
+          break;
+        }
+        lane.active++;
+        this.inFlight++;
+        lane.lastStart = now;
+        const resolve = lane.queue.shift();
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          lane.active--;
+          this.inFlight--;
+          this.pump();
+        });
+      }
+    }
+    if (wait !== Infinity) this._timer = setTimeout(() => this.pump(), wait);
+  },
+
+  observe(res) {
+    const remaining = parseFloat(res.headers.get("X-Rate-Limit-Remaining"));
+    if (Number.isFinite(remaining)) this.remaining = remaining;
+    const cost = parseFloat(res.headers.get("X-Request-Cost"));
+    if (Number.isFinite(cost)) this.avgCost = this.avgCost * 0.8 + cost * 0.2;
+
+    if (res.status === 429) {
+      this.strikes++;
+      const retryAfter = parseFloat(res.headers.get("Retry-After"));
+      const pause = Number.isFinite(retryAfter)
+        ? retryAfter * 1000
+        : Math.min(30000, 1000 * Math.pow(2, this.strikes));
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+      this.remaining = Math.min(this.remaining ?? 0, 0); // slowest tier
+    } else if (res.ok) {
+      this.strikes = 0;
+    }
+  },
+};
+
+// GETs are reads; anything else (POSTs, GraphQL mutations) is a write
 async function fetchWithRetry(
   url,
-  { timeoutMs = 45000, retries = 2, ...options } = {},
+  { timeoutMs = 45000, retries = 2, lane, ...options } = {},
 ) {
+  const laneName = lane ||
+    ((options.method || "GET").toUpperCase() === "GET" ? "read" : "write");
   return withRetries(async () => {
+    const release = await requestScheduler.acquire(laneName);
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), timeoutMs);
     try {
       const res = await fetch(url, { ...options, signal: ctrl.signal });
+      requestScheduler.observe(res);
       if (!res.ok) {
         const txt = await res.text().catch(() => "");
         const err = new Error(
@@ -55,29 +161,11 @@ async function fetchWithRetry(
       return res;
     } finally {
       clearTimeout(t);
+      release();
     }
   }, { retries });
 }
 
-// Keep both the page and the extension service worker awake during long runs
-let _keepAliveTimer = null;
-function startKeepAlive() {
-  if (_keepAliveTimer) return;
-  _keepAliveTimer = setInterval(async () => {
-    try {
-      chrome.runtime.sendMessage({ type: "PING" }, () => {});
-    } catch {}
-    try {
-      await fetch(`${location.origin}/api/v1/users/self`, {
-        method: "HEAD",
-        credentials: "include",
-        cache: "no-store",
-      });
-    } catch {}
-  }, 20000);
-}
-startKeepAlive();
-
 // -------- misc utils / constants --------
 const MAX_PER_REQUEST = 90; // keep well under Canvas ~100 cap
 
@@ -92,13 +180,10 @@ async function fetchCurrentUserProfile() {
   return res.json();
 }
 
-function isCanvasOrigin() {
-  const { host, protocol } = location;
-  if (protocol !== "https:") return false;
-  if (host.endsWith(".instructure.com")) return true;
-  if (/^(canvas|learn|webcourses|bruinlearn)\./i.test(host)) return true;
-  // (Add other branded prefixes here if needed)
-  return false;
+// Shared registry (domains.js is injected right before this file)
+async function isCanvasOrigin() {
+  if (location.protocol !== "https:") return false;
+  return globalThis.CourseLynxDomains.isCanvasHost(location.host);
 }
 
 // -------- term parsing (robust: "2025 Fall 1", "FA2025", etc.) --------
@@ -189,22 +274,138 @@ async function fetchAllCanvas(url, acc = []) {
   return next ? fetchAllCanvas(next[1], acc) : acc;
 }
 
-async function fetchMyCoursesFiltered(termFilter) {
+// The popup asks for terms and then courses right away; one roster of
+// courses serves both for a minute.
+let _myCoursesCache = null; // { at, promise }
+function fetchMyCourses() {
+  if (_myCoursesCache && Date.now() - _myCoursesCache.at < 60000) {
+    return _myCoursesCache.promise;
+  }
   const base =
     `${location.origin}/api/v1/courses?enrollment_state=active&per_page=100&include[]=term`;
-  const all = await fetchAllCanvas(base);
-  const mapped = all.map((c) => ({
-    id: c.id,
-    name: c.name,
-    course_code: c.course_code,
-    term: c.term,
-    enrollment_term: c.enrollment_term,
-    start_at: c.start_at,
-    end_at: c.end_at,
-  }));
+  const promise = fetchAllCanvas(base).then((all) =>
+    all.map((c) => ({
+      id: c.id,
+      name: c.name,
+      course_code: c.course_code,
+      term: c.term,
+      enrollment_term: c.enrollment_term,
+      enrollment_term_id: c.enrollment_term_id,
+      start_at: c.start_at,
+      end_at: c.end_at,
+    }))
+  );
+  _myCoursesCache = { at: Date.now(), promise };
+  promise.catch(() => (_myCoursesCache = null));
+  return promise;
+}
+
+function courseTermId(c) {
+  return c.term?.id ?? c.enrollment_term?.id ?? c.enrollment_term_id ?? null;
+}
+
+// termId (exact Canvas term) wins; otherwise free text goes through
+// isTermMatch, and an empty filter returns every course.
+async function fetchMyCoursesFiltered(termFilter, termId = null) {
+  const mapped = await fetchMyCourses();
+  if (termId != null) {
+    return mapped.filter((c) => String(courseTermId(c)) === String(termId));
+  }
   return mapped.filter((c) => isTermMatch(c, termFilter));
 }
 
+const SEASON_START_MONTH = { winter: 0, spring: 0, summer: 4, fall: 7 };
+
+// Distinct terms of the user's courses, newest first. Dates come from the
+// term itself, else from its courses, else from a "Fall 2025"-style name.
+function listTermsFromCourses(courses) {
+  const byId = new Map();
+  for (const c of courses) {
+    const t = c.term || c.enrollment_term || {};
+    const id = courseTermId(c);
+    if (id == null) continue;
+    const cur = byId.get(id) ||
+      { id, name: t.name || `Term ${id}`, start_at: null, end_at: null };
+    const start = t.start_at || c.start_at;
+    const end = t.end_at || c.end_at;
+    if (start && (!cur.start_at || start < cur.start_at)) cur.start_at = start;
+    if (end && (!cur.end_at || end > cur.end_at)) cur.end_at = end;
+    byId.set(id, cur);
+  }
+
+  const sortKey = (t) => {
+    if (t.start_at) return new Date(t.start_at).getTime();
+    if (t.end_at) return new Date(t.end_at).getTime();
+    const { season, year } = parseSeasonYear(t.name);
+    if (!year) return 0;
+    return new Date(year, SEASON_START_MONTH[season] ?? 0, 1).getTime();
+  };
+  const terms = Array.from(byId.values())
+    .map((t) => ({ ...t, sortKey: sortKey(t) }))
+    .sort((a, b) => b.sortKey - a.sortKey);
+
+  // Current = running now (latest start wins), else the next one to start,
+  // else the most recent one.
+  const now = Date.now();
+  const running = terms.filter((t) =>
+    t.start_at && new Date(t.start_at).getTime() <= now &&
+    (!t.end_at || new Date(t.end_at).getTime() >= now)
+  );
+  const upcoming = terms.filter((t) => t.sortKey > now);
+  const current = running[0] || upcoming[upcoming.length - 1] || terms[0];
+
+  return { terms, currentTermId: current ? current.id : null };
+}
+
+// -------- recipient search (single send) --------
+function enrollmentRoleLabel(e) {
+  const raw = e?.role || e?.type || "";
+  return String(raw).replace(/Enrollment$/, "") || "Member";
+}
+
+// Search messageable users in a course, then enrich each hit with the
+// sections and roles it holds there so the popup can disambiguate names.
+async function searchRecipientsInCourse(courseId, search) {
+  const qp = new URLSearchParams({
+    search,
+    context: `course_${courseId}`,
+    per_page: "20",
+  });
+  qp.append("types[]", "user");
+  const res = await fetchWithRetry(
+    `${location.origin}/api/v1/search/recipients?${qp}`,
+    { credentials: "include" },
+  );
+  const hits = (await res.json()).filter((h) => /^\d+$/.test(String(h.id)));
+  if (!hits.length) return [];
+
+  const userQs = hits.map((h) => `user_ids[]=${h.id}`).join("&");
+  const [sections, users] = await Promise.all([
+    fetchSections(courseId).catch(() => []),
+    canvasGETAll(
+      `${location.origin}/api/v1/courses/${courseId}/users` +
+        `?${userQs}&include[]=enrollments&include[]=avatar_url&per_page=100`,
+    ).catch(() => []),
+  ]);
+  const sectionNames = new Map(sections.map((s) => [s.id, s.name]));
+  const byId = new Map(users.map((u) => [Number(u.id), u]));
+
+  return hits.map((h) => {
+    const u = byId.get(Number(h.id));
+    const enrollments = (u?.enrollments || []).filter(
+      (e) => Number(e.course_id) === Number(courseId),
+    );
+    return {
+      id: Number(h.id),
+      name: h.name || u?.name || `User ${h.id}`,
+      avatarUrl: h.avatar_url || u?.avatar_url || null,
+      sections: uniqueInts(enrollments.map((e) => e.course_section_id))
+        .map((sid) => sectionNames.get(sid) || `Section ${sid}`),
+      roles: Array.from(new Set(enrollments.map(enrollmentRoleLabel))),
+    };
+  });
+}
+
 // ======== messaging helpers ==========
 
 // Ask background for freshest CSRF
@@ -216,34 +417,412 @@ async function getLatestCsrfFromBackground() {
   });
 }
 
-// Course users (students, active only) -> unique user IDs (exclude self + test student)
-async function fetchStudentUserIdsForCourse(courseId) {
-  const base = `${location.origin}/api/v1/courses/${courseId}/users` +
-    `?enrollment_type[]=student&enrollment_state[]=active&per_page=100`;
+// Suppressed (opted-out) Canvas user IDs for this host, from the claim
+// store via background.js. Fails closed: without the list nobody is sent to.
+async function fetchSuppressedIds() {
+  const resp = await chrome.runtime.sendMessage({
+    type: "GET_SUPPRESSIONS",
+    host: location.host,
+  });
+  if (!resp?.ok) {
+    throw new Error(
+      `Couldn't load the opt-out list: ${resp?.error || "no response"}`,
+    );
+  }
+  return new Set(resp.userIds.map(Number));
+}
 
-  const me = await fetchCurrentUserProfile().catch(() => null);
+// Shared roster filter: drop self, Canvas "test student" accounts and
+// anyone on the suppression list. Returns why a user would be skipped, or
+// null when they'd be messaged.
+function exclusionReason(u, myId, suppressed = new Set()) {
+  const uid = Number(u?.id);
+  if (!Number.isFinite(uid)) return "invalid id";
+  if (myId != null && uid === myId) return "self";
+  if (u.sis_user_id === "test_student") return "test student";
+  if (typeof u.name === "string" && /test student/i.test(u.name)) {
+    return "test student";
+  }
+  if (suppressed.has(uid)) return "opted out";
+  return null;
+}
+
+function isMessageableUser(u, myId, suppressed) {
+  return exclusionReason(u, myId, suppressed) === null;
+}
+
+// Enrollment targeting as chosen in the popup (targeting.js): course-users
+// type keys, mapped to enrollment classes for section rosters. Anything
+// unknown or empty falls back to active students.
+const SECTION_ENROLLMENT_TYPES = {
+  student: "StudentEnrollment",
+  ta: "TaEnrollment",
+  teacher: "TeacherEnrollment",
+  designer: "DesignerEnrollment",
+  observer: "ObserverEnrollment",
+};
+const TARGET_STATES = ["active", "invited", "completed"];
+
+function targetingOf(targeting) {
+  const types = (targeting?.types || []).filter((t) =>
+    Object.hasOwn(SECTION_ENROLLMENT_TYPES, t)
+  );
+  const states = (targeting?.states || []).filter((st) =>
+    TARGET_STATES.includes(st)
+  );
+  return {
+    types: types.length ? types : ["student"],
+    states: states.length ? states : ["active"],
+  };
+}
+
+// Course users of the targeted types/states with their enrollments; each
+// row carries `excluded` (see exclusionReason) so exports can show the
+// filter.
+async function fetchCourseRoster(courseId, targeting) {
+  const { types, states } = targetingOf(targeting);
+  const qp = new URLSearchParams({ per_page: "100" });
+  types.forEach((t) => qp.append("enrollment_type[]", t));
+  states.forEach((st) => qp.append("enrollment_state[]", st));
+  qp.append("include[]", "enrollments");
+  const base = `${location.origin}/api/v1/courses/${courseId}/users?${qp}`;
+
+  const [me, suppressed] = await Promise.all([
+    fetchCurrentUserProfile().catch(() => null),
+    fetchSuppressedIds(),
+  ]);
   const myId = me?.id ? Number(me.id) : null;
 
   const rows = await withRetries(async () => {
     return await canvasGETAll(base);
   }, { retries: 2, baseDelay: 800 });
 
+  return rows.map((u) => ({
+    ...u,
+    excluded: exclusionReason(u, myId, suppressed),
+  }));
+}
+
+// Targeted course users (active students by default) -> unique user IDs
+// (exclude self, test student and opted out)
+async function fetchStudentUserIdsForCourse(courseId, targeting) {
+  const rows = await fetchCourseRoster(courseId, targeting);
   const ids = rows
-    .filter((u) => {
-      const uid = Number(u.id);
-      if (!Number.isFinite(uid)) return false;
-      if (myId != null && uid === myId) return false;
-      if (u.sis_user_id === "test_student") return false;
-      if (typeof u.name === "string" && /test student/i.test(u.name)) {
-        return false;
-      }
-      return true;
+    .filter((u) => !u.excluded)
+    .map((u) => Number(u.id));
+
+  return uniqueInts(ids);
+}
+
+// Columns of the export rows below; an empty roster still gets the header
+const ROSTER_COLUMNS = [
+  "name",
+  "sortable_name",
+  "canvas_user_id",
+  "sis_user_id",
+  "login_id",
+  "sections",
+  "enrollment_type",
+  "enrollment_state",
+  "excluded",
+];
+
+// Flat export rows (one per person) for a course, optionally one section
+async function exportCourseRoster(courseId, sectionId = null, targeting) {
+  const [roster, sections] = await Promise.all([
+    fetchCourseRoster(courseId, targeting),
+    fetchSections(courseId).catch(() => []),
+  ]);
+  const sectionNames = new Map(sections.map((s) => [s.id, s.name]));
+
+  return roster
+    .map((u) => {
+      const enrollments = (u.enrollments || []).filter(
+        (e) => Number(e.course_id) === Number(courseId),
+      );
+      return { u, enrollments };
     })
+    .filter(({ enrollments }) =>
+      !sectionId ||
+      enrollments.some((e) => Number(e.course_section_id) === sectionId)
+    )
+    .map(({ u, enrollments }) => ({
+      name: u.name || "",
+      sortable_name: u.sortable_name || "",
+      canvas_user_id: Number(u.id),
+      sis_user_id: u.sis_user_id || "",
+      login_id: u.login_id || "",
+      sections: uniqueInts(enrollments.map((e) => e.course_section_id))
+        .map((sid) => sectionNames.get(sid) || `Section ${sid}`)
+        .join("; "),
+      enrollment_type: Array.from(
+        new Set(enrollments.map((e) => e.type).filter(Boolean)),
+      ).join("; "),
+      enrollment_state: Array.from(
+        new Set(enrollments.map((e) => e.enrollment_state).filter(Boolean)),
+      ).join("; "),
+      excluded: u.excluded || "",
+    }));
+}
+
+// Multi-section sends warm every section's roster in parallel (reads are
+// cheap under the scheduler) and then send one section after another; a
+// roster that arrived in the last two minutes (same targeting) is reused.
+// The opt-out list is not cached with it: it is applied on every read, so
+// someone who opts out meanwhile is never messaged from a cached roster.
+const SECTION_ROSTER_TTL_MS = 120000;
+// "<sectionId>|<types>|<states>" -> { at, promise }
+const _sectionRosters = new Map();
+async function fetchSectionRoster(sectionId, targeting) {
+  const [rows, suppressed] = await Promise.all([
+    cachedSectionRoster(sectionId, targeting),
+    fetchSuppressedIds(),
+  ]);
+  return rows.map((u) =>
+    !u.excluded && suppressed.has(Number(u.id))
+      ? { ...u, excluded: "opted out" }
+      : u
+  );
+}
+
+function cachedSectionRoster(sectionId, targeting) {
+  const target = targetingOf(targeting);
+  const key = `${sectionId}|${target.types}|${target.states}`;
+  const hit = _sectionRosters.get(key);
+  if (hit && (!hit.at || Date.now() - hit.at < SECTION_ROSTER_TTL_MS)) {
+    return hit.promise;
+  }
+  const entry = { at: 0, promise: loadSectionRoster(sectionId, target) };
+  entry.promise.then(
+    () => entry.at = Date.now(),
+    () => _sectionRosters.delete(key),
+  );
+  _sectionRosters.set(key, entry);
+  return entry.promise;
+}
+
+// Targeted section enrollments as course-roster-shaped users; `excluded`
+// covers self and test students only (fetchSectionRoster adds opt-outs)
+async function loadSectionRoster(sectionId, targeting) {
+  const { types, states } = targetingOf(targeting);
+  const qp = new URLSearchParams({ per_page: "100" });
+  types.forEach((t) => qp.append("type[]", SECTION_ENROLLMENT_TYPES[t]));
+  states.forEach((st) => qp.append("state[]", st));
+  const base =
+    `${location.origin}/api/v1/sections/${sectionId}/enrollments?${qp}`;
+
+  const me = await fetchCurrentUserProfile().catch(() => null);
+  const myId = me?.id ? Number(me.id) : null;
+
+  const rows = await withRetries(async () => {
+    return await canvasGETAll(base);
+  }, { retries: 2, baseDelay: 800 });
+
+  // Enrollments carry the user under `user`; sis_user_id lives on both
+  return rows.map((e) => {
+    const u = {
+      ...(e.user || {}),
+      id: e.user_id ?? e.user?.id,
+      sis_user_id: e.sis_user_id ?? e.user?.sis_user_id,
+      enrollments: [e],
+    };
+    return { ...u, excluded: exclusionReason(u, myId) };
+  });
+}
+
+// Targeted section enrollments -> unique user IDs (same filters)
+async function fetchStudentUserIdsForSection(sectionId, targeting) {
+  const rows = await fetchSectionRoster(sectionId, targeting);
+  const ids = rows
+    .filter((u) => !u.excluded)
     .map((u) => Number(u.id));
 
   return uniqueInts(ids);
 }
 
+// -------- course groups --------
+// Group sets of a course, for the popup's group picker
+async function fetchGroupCategories(courseId) {
+  const url = `${location.origin}/api/v1/courses/${courseId}` +
+    "/group_categories?per_page=100";
+  const rows = await canvasGETAll(url);
+  return rows.map((c) => ({ id: c.id, name: c.name || `Group set ${c.id}` }));
+}
+
+async function fetchCourseGroups(courseId) {
+  const rows = await canvasGETAll(
+    `${location.origin}/api/v1/courses/${courseId}/groups?per_page=100`,
+  );
+  return rows.map((g) => ({
+    id: g.id,
+    name: g.name || `Group ${g.id}`,
+    categoryId: g.group_category_id ?? null,
+    membersCount: g.members_count ?? null,
+  }));
+}
+
+// Group members as course-roster-shaped users (same filters). Enrollment
+// targeting doesn't apply: a group is exactly the people in it.
+async function fetchGroupRoster(groupId) {
+  const base = `${location.origin}/api/v1/groups/${groupId}/users?per_page=100`;
+
+  const [me, suppressed] = await Promise.all([
+    fetchCurrentUserProfile().catch(() => null),
+    fetchSuppressedIds(),
+  ]);
+  const myId = me?.id ? Number(me.id) : null;
+
+  const rows = await withRetries(async () => {
+    return await canvasGETAll(base);
+  }, { retries: 2, baseDelay: 800 });
+
+  return rows.map((u) => ({
+    ...u,
+    excluded: exclusionReason(u, myId, suppressed),
+  }));
+}
+
+async function fetchUserIdsForGroup(groupId) {
+  const rows = await fetchGroupRoster(groupId);
+  return uniqueInts(rows.filter((u) => !u.excluded).map((u) => Number(u.id)));
+}
+
+// Where a conversation is filed: the group, the section or the whole course
+function contextCodeFor({ courseId, sectionId, groupId }) {
+  if (groupId) return `group_${groupId}`;
+  return sectionId ? `course_section_${sectionId}` : `course_${courseId}`;
+}
+
+function fetchingNote({ sectionId, groupId }) {
+  if (groupId) return "Fetching group members…";
+  return sectionId ? "Fetching section students…" : "Fetching course students…";
+}
+
+// Messageable people with what per-recipient placeholders need
+async function fetchRecipientEntries(
+  { courseId, sectionId = null, groupId = null, targeting },
+) {
+  const [roster, sections] = await Promise.all([
+    groupId
+      ? fetchGroupRoster(groupId)
+      : sectionId
+      ? fetchSectionRoster(sectionId, targeting)
+      : fetchCourseRoster(courseId, targeting),
+    fetchSections(courseId).catch(() => []),
+  ]);
+  const sectionNames = new Map(sections.map((s) => [s.id, s.name]));
+  const seen = new Set();
+  const out = [];
+  for (const u of roster) {
+    const id = Number(u.id);
+    if (u.excluded || seen.has(id)) continue;
+    seen.add(id);
+    const sid = sectionId ||
+      (u.enrollments || []).find((e) =>
+        Number(e.course_id) === Number(courseId)
+      )?.course_section_id;
+    out.push({
+      id,
+      name: u.name || "",
+      sortable_name: u.sortable_name || "",
+      short_name: u.short_name || "",
+      sectionName: sectionNames.get(Number(sid)) || "",
+    });
+  }
+  return out;
+}
+
+// Everyone a batch send would message in one course: the given sections
+// (0 = the whole course) or groups. The cross-course planner (dedupe.js)
+// compares these between the selected courses.
+async function resolveCourseRecipients(
+  { courseId, sectionIds = [], groupIds = [], targeting },
+) {
+  const lists = await Promise.all([
+    ...groupIds.map((gid) => fetchUserIdsForGroup(Number(gid))),
+    ...sectionIds.map((sid) =>
+      Number(sid)
+        ? fetchStudentUserIdsForSection(Number(sid), targeting)
+        : fetchStudentUserIdsForCourse(courseId, targeting)
+    ),
+  ]);
+  return uniqueInts(lists.flat());
+}
+
+// The popup's review step: who a send would reach in one course (same
+// targets as above) with name, sections or groups, and enrollment state
+async function reviewCourseRecipients(
+  { courseId, sectionIds = [], groupIds = [], targeting },
+) {
+  const byName = (a, b) => a.sortableName.localeCompare(b.sortableName);
+  if (groupIds.length) {
+    const rosters = await Promise.all(
+      groupIds.map((gid) => fetchGroupRoster(Number(gid))),
+    );
+    const people = new Map();
+    rosters.forEach((rows, i) => {
+      for (const u of rows) {
+        if (u.excluded) continue;
+        const id = Number(u.id);
+        const p = people.get(id) || {
+          id,
+          name: u.name || "",
+          sortableName: u.sortable_name || u.name || "",
+          groupIds: [],
+          sections: "",
+          state: "",
+        };
+        p.groupIds.push(Number(groupIds[i]));
+        people.set(id, p);
+      }
+    });
+    return Array.from(people.values()).sort(byName);
+  }
+
+  const wanted = new Set(sectionIds.map(Number));
+  const [roster, sections] = await Promise.all([
+    fetchCourseRoster(courseId, targeting),
+    fetchSections(courseId).catch(() => []),
+  ]);
+  const sectionNames = new Map(sections.map((s) => [s.id, s.name]));
+  const out = [];
+  for (const u of roster) {
+    if (u.excluded) continue;
+    const enrollments = (u.enrollments || []).filter((e) =>
+      Number(e.course_id) === Number(courseId) &&
+      (wanted.has(0) || wanted.has(Number(e.course_section_id)))
+    );
+    if (!enrollments.length) continue;
+    out.push({
+      id: Number(u.id),
+      name: u.name || "",
+      sortableName: u.sortable_name || u.name || "",
+      sections: uniqueInts(enrollments.map((e) => e.course_section_id))
+        .map((sid) => sectionNames.get(sid) || `Section ${sid}`)
+        .join("; "),
+      state: Array.from(
+        new Set(enrollments.map((e) => e.enrollment_state).filter(Boolean)),
+      ).join("; "),
+    });
+  }
+  return out.sort(byName);
+}
+
+// Cross-course dedup and the popup's review narrow a resolved roster:
+// excludeUserIds get the message from another course, and with onlyUserIds
+// nobody outside that approved set is messaged.
+function narrowRecipients(ids, { excludeUserIds = [], onlyUserIds = null }) {
+  const excluded = new Set(excludeUserIds.map(Number));
+  const approved = onlyUserIds && new Set(onlyUserIds.map(Number));
+  const out = { ids: [], droppedDuplicates: [], unapproved: [] };
+  for (const id of ids) {
+    if (approved && !approved.has(id)) out.unapproved.push(id);
+    else if (excluded.has(id)) out.droppedDuplicates.push(id);
+    else out.ids.push(id);
+  }
+  return out;
+}
+
 // Small paginator for Canvas REST (follows Link headers)
 async function canvasGETAll(url, timeoutMs = 30000) {
   const out = [];
@@ -262,11 +841,7 @@ async function canvasGETAll(url, timeoutMs = 30000) {
   return out;
 }
 
-// POST /conversations with hard guard for max recipients
-async function postConversation(
-  { courseId, recipientIds, subject, body, csrfToken },
-  timeoutMs = 45000,
-) {
+function assertChunkSize(recipientIds) {
   if (!Array.isArray(recipientIds) || recipientIds.length === 0) {
     throw new Error("No recipients in chunk.");
   }
@@ -275,12 +850,142 @@ async function postConversation(
       `Refusing to POST >${MAX_PER_REQUEST} recipients in one request.`,
     );
   }
+}
+
+// Try with given token, then refresh CSRF, then back off and try again
+async function postWithCsrfRetries(doPost, csrfToken) {
+  let attempt = 0, lastErr;
+  while (attempt < 3) {
+    try {
+      if (attempt === 0) return await doPost(csrfToken);
+      const fresh = await getLatestCsrfFromBackground();
+      return await doPost(fresh || csrfToken);
+    } catch (e) {
+      lastErr = e;
+      if (e?.graphqlRejected) break; // caller decides on REST fallback
+      if (!shouldRetry(e) && e?.status !== 422) break;
+      await sleep(600 * Math.pow(2, attempt)); // 600ms, 1200ms
+      attempt++;
+    }
+  }
+  throw lastErr;
+}
+
+// -------- attachments (Canvas user-file upload flow) --------
+// Conversation attachments must be files of the sender. They are uploaded
+// once into "conversation attachments" and every chunk references the id.
+const ATTACHMENT_FOLDER = "conversation attachments";
+
+function base64ToBlob(base64, contentType) {
+  const bin = atob(base64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: contentType });
+}
+
+// Step 2 goes to the file store, not the Canvas API: XHR for upload progress
+function uploadToFileStore(uploadUrl, uploadParams, blob, name, onProgress) {
+  const fd = new FormData();
+  for (const [k, v] of Object.entries(uploadParams || {})) fd.append(k, v);
+  fd.append("file", blob, name);
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", uploadUrl);
+    xhr.upload.onprogress = (ev) => {
+      if (ev.lengthComputable) onProgress?.(ev.loaded, ev.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(`Upload failed: HTTP ${xhr.status}`));
+        return;
+      }
+      let json = {};
+      try {
+        json = JSON.parse(xhr.responseText || "{}");
+      } catch {}
+      resolve({ json, location: xhr.getResponseHeader("Location") });
+    };
+    xhr.onerror = () => reject(new Error("Upload failed: network error"));
+    xhr.send(fd);
+  });
+}
+
+// Pre-flight, upload, confirm. Resolves to the Canvas file
+// { id, display_name, size, content-type }.
+async function uploadAttachment(
+  { name, contentType, base64, csrfToken },
+  onProgress,
+) {
+  const blob = base64ToBlob(base64, contentType);
+
+  const preflight = await postWithCsrfRetries(async (csrf) => {
+    const fd = new FormData();
+    fd.append("name", name);
+    fd.append("size", String(blob.size));
+    fd.append("content_type", contentType || "application/octet-stream");
+    fd.append("parent_folder_path", ATTACHMENT_FOLDER);
+    fd.append("on_duplicate", "rename");
+    try {
+      const res = await fetchWithRetry(
+        `${location.origin}/api/v1/users/self/files`,
+        {
+          method: "POST",
+          credentials: "include",
+          headers: { "X-CSRF-Token": csrf },
+          body: fd,
+          retries: 0,
+        },
+      );
+      return res.json();
+    } catch (e) {
+      if (e?.status === 400 && /quota/i.test(e.message)) {
+        const err = new Error(
+          "Not enough room in your Canvas files for this attachment " +
+            "(quota exceeded). Delete some files or pick a smaller one.",
+        );
+        err.status = 400;
+        throw err;
+      }
+      throw e;
+    }
+  }, csrfToken);
+
+  const uploaded = await uploadToFileStore(
+    preflight.upload_url,
+    preflight.upload_params,
+    blob,
+    name,
+    onProgress,
+  );
+  if (uploaded.json?.id && !uploaded.json?.location) return uploaded.json;
+
+  const confirmUrl = uploaded.json?.location || uploaded.location;
+  if (!confirmUrl) throw new Error("Upload finished without a file id.");
+  const res = await fetchWithRetry(confirmUrl, { credentials: "include" });
+  return res.json();
+}
+
+// POST /conversations with hard guard for max recipients
+async function postConversation(
+  {
+    courseId,
+    contextCode,
+    recipientIds,
+    subject,
+    body,
+    attachmentIds = [],
+    csrfToken,
+  },
+  timeoutMs = 45000,
+) {
+  assertChunkSize(recipientIds);
 
   const fd = new FormData();
   recipientIds.forEach((id) => fd.append("recipients[]", String(id)));
   if (subject) fd.append("subject", subject);
   fd.append("body", body);
-  fd.append("context_code", `course_${courseId}`);
+  attachmentIds.forEach((id) => fd.append("attachment_ids[]", String(id)));
+  fd.append("context_code", contextCode || `course_${courseId}`);
   fd.append("group_conversation", "false"); // send individually
   fd.append("bulk_message", "true"); // separate DMs per recipient
 
@@ -299,32 +1004,213 @@ async function postConversation(
     return res.json();
   };
 
-  // Try with given token, then refresh CSRF, then back off and try again
-  let attempt = 0, lastErr;
-  while (attempt < 3) {
+  return postWithCsrfRetries(doPost, csrfToken);
+}
+
+// -------- GraphQL send path (mirrors the Inbox UI mutation) --------
+const CREATE_CONVERSATION_MUTATION = `
+mutation CreateConversation(
+  $recipients: [String!]!
+  $subject: String
+  $body: String!
+  $contextCode: String
+  $groupConversation: Boolean
+  $bulkMessage: Boolean
+  $attachmentIds: [ID!]
+) {
+  createConversation(input: {
+    recipients: $recipients
+    subject: $subject
+    body: $body
+    contextCode: $contextCode
+    groupConversation: $groupConversation
+    bulkMessage: $bulkMessage
+    attachmentIds: $attachmentIds
+  }) {
+    conversations { conversation { _id } }
+    errors { attribute message }
+  }
+}`;
+
+// Same contract as postConversation; resolves to REST-shaped [{ id }].
+// Rejections (GraphQL errors or a 4xx) are flagged `graphqlRejected` so the
+// caller can fall back to REST; timeouts/5xx are not, since the mutation may
+// have gone through.
+async function postConversationGraphQL(
+  {
+    courseId,
+    contextCode,
+    recipientIds,
+    subject,
+    body,
+    attachmentIds = [],
+    csrfToken,
+  },
+  timeoutMs = 45000,
+) {
+  assertChunkSize(recipientIds);
+
+  const payload = JSON.stringify({
+    operationName: "CreateConversation",
+    query: CREATE_CONVERSATION_MUTATION,
+    variables: {
+      recipients: recipientIds.map(String),
+      subject: subject || null,
+      body,
+      contextCode: contextCode || `course_${courseId}`,
+      groupConversation: false,
+      bulkMessage: true,
+      attachmentIds: attachmentIds.map(String),
+    },
+  });
+
+  const doPost = async (csrf) => {
+    let res;
     try {
-      if (attempt === 0) return await doPost(csrfToken);
-      const fresh = await getLatestCsrfFromBackground();
-      return await doPost(fresh || csrfToken);
+      res = await fetchWithRetry(`${location.origin}/api/graphql`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json", "X-CSRF-Token": csrf },
+        body: payload,
+        timeoutMs,
+        retries: 0,
+      });
     } catch (e) {
-      lastErr = e;
-      if (!shouldRetry(e) && e?.status !== 422) break;
-      await sleep(600 * Math.pow(2, attempt)); // 600ms, 1200ms
-      attempt++;
+      // 422 is the stale-CSRF case and is retried with a fresh token first
+      if (e?.status >= 400 && e?.status < 500 && e.status !== 422 &&
+        e.status !== 429) {
+        e.graphqlRejected = true;
+      }
+      throw e;
+    }
+    const json = await res.json();
+    const result = json?.data?.createConversation;
+    const errors = [...(json?.errors || []), ...(result?.errors || [])];
+    if (!result || errors.length) {
+      const err = new Error(
+        `GraphQL createConversation rejected: ${
+          errors.map((x) => x.message).join("; ") || "empty result"
+        }`,
+      );
+      err.graphqlRejected = true;
+      throw err;
     }
+    return (result.conversations || []).map((p) => ({
+      id: Number(p?.conversation?._id),
+    }));
+  };
+
+  return postWithCsrfRetries(doPost, csrfToken);
+}
+
+// Per-tenant transport: explicit setting wins; "auto" uses GraphQL only when
+// background.js has seen this tenant's UI talk GraphQL.
+async function resolveSendTransport() {
+  const resp = await new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { type: "GET_SEND_TRANSPORT", host: location.host },
+      (r) => resolve(r || null),
+    );
+  });
+  if (resp?.mode === "graphql" || resp?.mode === "rest") return resp.mode;
+  return resp?.graphqlSeenAt ? "graphql" : "rest";
+}
+
+// -------- audit log (kept by background.js, see audit.js) --------
+// REST answers with Canvas conversation objects (an array for bulk sends),
+// GraphQL with [{ id }]
+function conversationIdsOf(conversations) {
+  const list = Array.isArray(conversations) ? conversations : [conversations];
+  return list.map((c) => c?.id).filter((id) => id != null);
+}
+
+// One entry per send attempt. `audit` carries what the job knows and this
+// tab doesn't (course/term labels, section name, mode, job id). Best effort:
+// a lost entry must never fail the send itself.
+function recordAudit(
+  { courseId, recipientIds, subject, body, attachmentIds = [], audit },
+  outcome,
+) {
+  const { sectionId = null, ...context } = audit || {};
+  chrome.runtime.sendMessage({
+    type: "AUDIT_APPEND",
+    record: {
+      origin: location.origin,
+      courseId: Number(courseId),
+      sectionId: sectionId || null,
+      ...context,
+      subject: subject || "",
+      body,
+      recipientIds,
+      attachmentIds,
+      ...outcome,
+    },
+  }).catch(() => {});
+}
+
+// Send through the tenant's transport, falling back to REST when the
+// GraphQL mutation is rejected. Reports which transport actually delivered,
+// and logs the attempt either way.
+async function sendConversation(args) {
+  const attempt = { transport: await resolveSendTransport() };
+  try {
+    let conversations;
+    if (attempt.transport === "graphql") {
+      try {
+        conversations = await postConversationGraphQL(args);
+      } catch (e) {
+        if (!e?.graphqlRejected) throw e;
+        console.warn("GraphQL send rejected, falling back to REST:", e);
+        attempt.transport = "rest";
+        attempt.fallbackFrom = "graphql";
+        conversations = await postConversation(args);
+      }
+    } else {
+      conversations = await postConversation(args);
+    }
+    recordAudit(args, {
+      ...attempt,
+      status: "sent",
+      conversationIds: conversationIdsOf(conversations),
+    });
+    return { ...attempt, conversations };
+  } catch (e) {
+    recordAudit(args, {
+      ...attempt,
+      status: "failed",
+      error: String(e?.message || e),
+    });
+    throw e;
   }
-  throw lastErr;
 }
 
 // Send 1 chunk (≤ MAX_PER_REQUEST) as individual messages
 async function sendConversationChunk(
-  { courseId, recipientIds, subject, body, csrfToken },
+  {
+    courseId,
+    contextCode,
+    recipientIds,
+    subject,
+    body,
+    attachmentIds,
+    csrfToken,
+    audit,
+  },
 ) {
   if (recipientIds.length > MAX_PER_REQUEST) {
     console.warn("Chunk too large, trimming:", recipientIds.length);
     recipientIds = recipientIds.slice(0, MAX_PER_REQUEST);
   }
-  return postConversation({ courseId, recipientIds, subject, body, csrfToken });
+  return sendConversation({
+    courseId,
+    contextCode,
+    recipientIds,
+    subject,
+    body,
+    attachmentIds,
+    csrfToken,
+    audit,
+  });
 }
 
 // Chunk an array into arrays of size n
@@ -334,70 +1220,693 @@ function chunk(arr, n) {
   return out;
 }
 
+// -------- send checkpoints (resume after a failed chunk) --------
+// --- Send checkpoint schema in storage.local ---
+// {
+//   sendCheckpoints: {
+//     "<host>|<courseId>|<sectionId or 0, or g<groupId>>|<campaign>": {
+//       chunks: [{ ids: [1, 2], sent: true, transport: "rest" } |
+//                { ids: [3], sent: false, error: "…" }],
+//       updatedAt: 1690000000000
+//     } | { done: true, updatedAt }  (finished; see finishCheckpoint)
+//   } | undefined
+// }
+// The campaign is the claim's term key, so one checkpoint per claim slot.
+const CHECKPOINTS_KEY = "sendCheckpoints";
+
+function checkpointKey({ courseId, sectionId, groupId, campaign }) {
+  if (!campaign) return null;
+  const slot = groupId ? `g${groupId}` : Number(sectionId) || 0;
+  return [location.host, Number(courseId), slot, campaign].join("|");
+}
+
+// `required` is for resumes: without a checkpoint there's no telling who
+// already got the message, so starting over is not an option.
+async function loadCheckpoint(key, { required = false } = {}) {
+  const data = key ? await chrome.storage.local.get([CHECKPOINTS_KEY]) : {};
+  const saved = data[CHECKPOINTS_KEY]?.[key] || null;
+  if (required && !saved) {
+    throw new Error(
+      "No checkpoint for this send in this browser, so it can't be resumed.",
+    );
+  }
+  return saved;
+}
+
+async function saveCheckpoint(key, chunks) {
+  if (!key) return;
+  const data = await chrome.storage.local.get([CHECKPOINTS_KEY]);
+  const all = data[CHECKPOINTS_KEY] || {};
+  all[key] = { chunks, updatedAt: Date.now() };
+  await chrome.storage.local.set({ [CHECKPOINTS_KEY]: all });
+}
+
+// A finished send leaves a small "done" marker in place of its chunks: when
+// the service worker restarted before hearing back, Resume then knows the
+// slot already went out. Markers are dropped after 30 days.
+const DONE_CHECKPOINT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+async function finishCheckpoint(key) {
+  if (!key) return;
+  const data = await chrome.storage.local.get([CHECKPOINTS_KEY]);
+  const all = data[CHECKPOINTS_KEY] || {};
+  const now = Date.now();
+  for (const [k, cp] of Object.entries(all)) {
+    if (cp.done && now - cp.updatedAt > DONE_CHECKPOINT_TTL_MS) delete all[k];
+  }
+  all[key] = { done: true, updatedAt: now };
+  await chrome.storage.local.set({ [CHECKPOINTS_KEY]: all });
+}
+
+// Resumes need a checkpoint, except for slots an interrupted job handed to
+// this tab (jobs.js settleInterrupted): those may never have started
+function resumeOnlyFor(msg, slot) {
+  return !!msg.resumeOnly && !(msg.interruptedSlots || []).includes(slot);
+}
+
+// Chunks already sent stay as they are; everyone else (unsent chunks and
+// students who joined since) is re-chunked after them.
+function planChunks(ids, checkpoint, size) {
+  const done = (checkpoint?.chunks || []).filter((c) => c.sent);
+  const sentIds = new Set(done.flatMap((c) => c.ids));
+  const rest = ids.filter((id) => !sentIds.has(id));
+  return [
+    ...done,
+    ...chunk(rest, size).map((batch) => ({ ids: batch, sent: false })),
+  ];
+}
+
+// Thrown when a send stops midway; the checkpoint keeps what went out
+function partialSendError(cause, plan) {
+  const sent = plan.filter((c) => c.sent);
+  const err = new Error(String(cause?.message || cause));
+  err.progress = {
+    sentChunks: sent.length,
+    totalChunks: plan.length,
+    sentRecipients: sent.reduce((n, c) => n + c.ids.length, 0),
+  };
+  return err;
+}
+
+// Error -> response fields; `partial` means some students already got it
+function failureFields(e) {
+  return {
+    ok: false,
+    error: String(e),
+    ...(e?.progress
+      ? { partial: e.progress.sentChunks > 0, ...e.progress }
+      : {}),
+  };
+}
+
+// "rest" | "graphql" when every chunk agreed, "mixed" after a partial fallback
+function summarizeTransport(results) {
+  const used = new Set(results.map((r) => r.transport));
+  if (used.size === 0) return null;
+  return used.size === 1 ? Array.from(used)[0] : "mixed";
+}
+
+// Omitting sectionId targets the whole course roster; with a sectionId only
+// that section's students are resolved and the section is the context, and
+// with a groupId the group's members and the group.
+// dryRun stops after planning: nothing is POSTed and the plan is returned.
+// With a campaign, every chunk is checkpointed and a later call skips the
+// chunks that already went out; resumeOnly refuses to start from scratch.
+// excludeUserIds and onlyUserIds narrow the roster (narrowRecipients); who
+// they left out comes back as droppedDuplicates and unapproved.
 async function sendLinkToCourseStudents(
-  { courseId, subject, body, csrfToken },
+  {
+    courseId,
+    sectionId = null,
+    groupId = null,
+    subject,
+    body,
+    attachmentIds = [],
+    csrfToken,
+    campaign = null,
+    resumeOnly = false,
+    dryRun = false,
+    targeting = null,
+    excludeUserIds = [],
+    onlyUserIds = null,
+    audit = null,
+  },
   progressCb,
 ) {
+  const contextCode = contextCodeFor({ courseId, sectionId, groupId });
+  const auditContext = { ...audit, sectionId, groupId, mode: "bulk" };
+
   // 1) Resolve recipients
-  progressCb?.(`Fetching course students…`);
-  let ids = await fetchStudentUserIdsForCourse(courseId);
-  ids = uniqueInts(ids);
+  progressCb?.(fetchingNote({ sectionId, groupId }));
+  let ids = groupId
+    ? await fetchUserIdsForGroup(groupId)
+    : sectionId
+    ? await fetchStudentUserIdsForSection(sectionId, targeting)
+    : await fetchStudentUserIdsForCourse(courseId, targeting);
+  const narrowed = narrowRecipients(uniqueInts(ids), {
+    excludeUserIds,
+    onlyUserIds,
+  });
+  const { droppedDuplicates, unapproved } = narrowed;
+  ids = narrowed.ids;
 
-  if (!ids.length) return { totalRecipients: 0, chunks: 0, results: [] };
+  if (!ids.length) {
+    return {
+      totalRecipients: 0,
+      chunks: 0,
+      results: [],
+      droppedDuplicates,
+      unapproved,
+    };
+  }
 
-  // 2) Chunk & send with retries per chunk
-  const batches = chunk(ids, MAX_PER_REQUEST);
+  // 2) Chunk (resuming from the checkpoint) & send with retries per chunk
+  const cpKey = checkpointKey({ courseId, sectionId, groupId, campaign });
+  const saved = await loadCheckpoint(cpKey, { required: resumeOnly });
+  if (resumeOnly && saved?.done) {
+    // Went out before the job runner heard back (service worker restart)
+    return {
+      totalRecipients: 0,
+      chunks: 0,
+      alreadySent: true,
+      droppedDuplicates,
+      unapproved,
+      results: [],
+    };
+  }
+  const plan = planChunks(ids, saved, MAX_PER_REQUEST);
+  const skipped = plan.filter((c) => c.sent).length;
   const results = [];
 
+  if (dryRun) {
+    return {
+      dryRun: true,
+      totalRecipients: ids.length,
+      chunks: plan.length,
+      chunkSizes: plan.map((c) => c.ids.length),
+      resumedChunks: skipped,
+      transport: await resolveSendTransport(),
+      contextCode,
+      subject,
+      body,
+      attachmentIds,
+      droppedDuplicates,
+      unapproved,
+      results,
+    };
+  }
+
   // Notify popup of our plan
   try {
     chrome.runtime.sendMessage({
       type: "SEND_PLAN",
       courseId,
+      sectionId,
+      groupId,
       totalRecipients: ids.length,
-      totalChunks: batches.length,
+      totalChunks: plan.length,
     });
+    if (skipped) {
+      chrome.runtime.sendMessage({
+        type: "SEND_CHUNK_DONE",
+        courseId,
+        sectionId,
+        groupId,
+        chunk: skipped,
+        totalChunks: plan.length,
+      });
+    }
   } catch {}
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    const human = `${i + 1}/${batches.length}`;
+  for (let i = 0; i < plan.length; i++) {
+    const step = plan[i];
+    if (step.sent) continue;
+    const batch = step.ids;
+    const human = `${i + 1}/${plan.length}`;
     progressCb?.(`Sending chunk ${human} (${batch.length} recipients)…`);
 
-    await withRetries(
-      () =>
-        sendConversationChunk({
-          courseId,
-          recipientIds: batch,
-          subject,
-          body,
-          csrfToken,
-        }),
-      { retries: 2, baseDelay: 800 },
-    );
+    let sent;
+    try {
+      sent = await withRetries(
+        () =>
+          sendConversationChunk({
+            courseId,
+            contextCode,
+            recipientIds: batch,
+            subject,
+            body,
+            attachmentIds,
+            csrfToken,
+            audit: auditContext,
+          }),
+        { retries: 2, baseDelay: 800 },
+      );
+    } catch (e) {
+      step.error = String(e);
+      await saveCheckpoint(cpKey, plan);
+      throw partialSendError(`Chunk ${human} failed: ${e?.message || e}`, plan);
+    }
+    step.sent = true;
+    step.transport = sent.transport;
+    delete step.error;
+    await saveCheckpoint(cpKey, plan);
 
     // Notify popup chunk finished
     try {
       chrome.runtime.sendMessage({
         type: "SEND_CHUNK_DONE",
         courseId,
+        sectionId,
+        groupId,
+        chunk: i + 1,
+        totalChunks: plan.length,
+      });
+    } catch {}
+
+    results.push({
+      chunk: i + 1,
+      size: batch.length,
+      transport: sent.transport,
+      fallbackFrom: sent.fallbackFrom || null,
+    });
+  }
+
+  // Everyone has it now; the claim is marked sent and the checkpoint is done
+  await finishCheckpoint(cpKey);
+  return {
+    totalRecipients: ids.length,
+    chunks: plan.length,
+    resumedChunks: skipped,
+    transport: summarizeTransport(plan.filter((c) => c.sent)),
+    droppedDuplicates,
+    unapproved,
+    results,
+  };
+}
+
+// -------- personalized sends (one conversation per recipient) --------
+const DEFAULT_PERSONAL_PACE_MS = 1500;
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// "Doe, Jane Q" -> "Jane"; falls back to short_name / name
+function firstNameOf(entry) {
+  const [, given] = String(entry.sortable_name || "").split(",");
+  const pick = (given || entry.short_name || entry.name || "").trim();
+  return pick.split(/\s+/)[0] || "there";
+}
+
+// Same {placeholder} rules as compose.js: unknown tokens stay as they are
+function fillPlaceholders(text, vars) {
+  return String(text || "").replace(/\{([a-z_]+)\}/g, (whole, key) => {
+    const v = vars[key];
+    return v == null ? whole : String(v);
+  });
+}
+
+function personalVars(entry) {
+  return {
+    first_name: firstNameOf(entry),
+    full_name: entry.name || firstNameOf(entry),
+    section_name: entry.sectionName || null,
+  };
+}
+
+// Renders {first_name}/{full_name}/{section_name} for every roster entry and
+// sends individual conversations, paced by paceMs. A failed recipient is
+// recorded and the run continues; several failures in a row abort it.
+// Checkpoints work as for bulk sends, one recipient per chunk.
+async function sendPersonalizedToStudents(
+  {
+    courseId,
+    sectionId = null,
+    groupId = null,
+    subject,
+    body,
+    attachmentIds = [],
+    csrfToken,
+    paceMs = DEFAULT_PERSONAL_PACE_MS,
+    campaign = null,
+    resumeOnly = false,
+    dryRun = false,
+    targeting = null,
+    excludeUserIds = [],
+    onlyUserIds = null,
+    audit = null,
+  },
+  progressCb,
+) {
+  const contextCode = contextCodeFor({ courseId, sectionId, groupId });
+  const auditContext = { ...audit, sectionId, groupId, mode: "personalized" };
+
+  progressCb?.(fetchingNote({ sectionId, groupId }));
+  const resolved = await fetchRecipientEntries({
+    courseId,
+    sectionId,
+    groupId,
+    targeting,
+  });
+  const { ids: kept, droppedDuplicates, unapproved } = narrowRecipients(
+    resolved.map((e) => e.id),
+    { excludeUserIds, onlyUserIds },
+  );
+  const keep = new Set(kept);
+  const entries = resolved.filter((e) => keep.has(e.id));
+  if (!entries.length) {
+    return {
+      mode: "personalized",
+      totalRecipients: 0,
+      chunks: 0,
+      recipients: [],
+      droppedDuplicates,
+      unapproved,
+    };
+  }
+
+  const render = (entry) => {
+    const vars = personalVars(entry);
+    return {
+      subject: fillPlaceholders(subject, vars),
+      body: fillPlaceholders(body, vars),
+    };
+  };
+
+  const cpKey = checkpointKey({ courseId, sectionId, groupId, campaign });
+  const saved = await loadCheckpoint(cpKey, { required: resumeOnly });
+  if (resumeOnly && saved?.done) {
+    return {
+      mode: "personalized",
+      totalRecipients: 0,
+      chunks: 0,
+      sent: 0,
+      failed: 0,
+      alreadySent: true,
+      recipients: [],
+      droppedDuplicates,
+      unapproved,
+    };
+  }
+  const plan = planChunks(entries.map((e) => e.id), saved, 1);
+  const skipped = plan.filter((c) => c.sent).length;
+  const byId = new Map(entries.map((e) => [e.id, e]));
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      mode: "personalized",
+      totalRecipients: entries.length,
+      chunks: plan.length,
+      chunkSizes: [],
+      resumedChunks: skipped,
+      transport: await resolveSendTransport(),
+      contextCode,
+      subject,
+      body,
+      attachmentIds,
+      samples: entries.slice(0, 3).map((e) => ({
+        name: e.name,
+        ...render(e),
+      })),
+      droppedDuplicates,
+      unapproved,
+      results: [],
+    };
+  }
+
+  try {
+    chrome.runtime.sendMessage({
+      type: "SEND_PLAN",
+      courseId,
+      sectionId,
+      groupId,
+      unit: "message",
+      totalRecipients: entries.length,
+      totalChunks: plan.length,
+    });
+    if (skipped) {
+      chrome.runtime.sendMessage({
+        type: "SEND_CHUNK_DONE",
+        courseId,
+        sectionId,
+        groupId,
+        chunk: skipped,
+        totalChunks: plan.length,
+      });
+    }
+  } catch {}
+
+  const recipients = [];
+  let failedInARow = 0;
+  for (let i = 0; i < plan.length; i++) {
+    const step = plan[i];
+    const userId = step.ids[0];
+    const entry = byId.get(userId) || { id: userId, name: "" };
+    if (step.sent) {
+      recipients.push({ userId, name: entry.name, ok: true, resumed: true });
+      continue;
+    }
+    const msg = render(entry);
+    progressCb?.(`Sending ${i + 1}/${plan.length} (${entry.name})…`);
+
+    const row = { userId: entry.id, name: entry.name, ok: false };
+    try {
+      const sent = await withRetries(
+        () =>
+          sendConversation({
+            courseId,
+            contextCode,
+            recipientIds: [entry.id],
+            subject: msg.subject,
+            body: msg.body,
+            attachmentIds,
+            csrfToken,
+            audit: auditContext,
+          }),
+        { retries: 1, baseDelay: 1500 },
+      );
+      row.ok = true;
+      row.transport = sent.transport;
+      row.conversationId = sent.conversations?.[0]?.id ?? null;
+      failedInARow = 0;
+    } catch (e) {
+      row.error = String(e);
+      failedInARow++;
+    }
+    recipients.push(row);
+    step.sent = row.ok;
+    step.transport = row.transport;
+    step.error = row.error;
+    await saveCheckpoint(cpKey, plan);
+
+    try {
+      chrome.runtime.sendMessage({
+        type: "SEND_RECIPIENT_DONE",
+        courseId,
+        sectionId,
+        groupId,
+        userId: entry.id,
+        ok: row.ok,
+        error: row.error || null,
+      });
+      chrome.runtime.sendMessage({
+        type: "SEND_CHUNK_DONE",
+        courseId,
+        sectionId,
+        groupId,
         chunk: i + 1,
-        totalChunks: batches.length,
+        totalChunks: plan.length,
       });
     } catch {}
 
-    results.push({ chunk: i + 1, size: batch.length });
-    await sleep(300); // spacing
+    if (failedInARow >= MAX_CONSECUTIVE_FAILURES) {
+      throw partialSendError(
+        `Stopped after ${failedInARow} failed sends in a row: ${row.error}`,
+        plan,
+      );
+    }
+    if (i < plan.length - 1) await sleep(paceMs);
   }
 
-  return { totalRecipients: ids.length, chunks: batches.length, results };
+  const sentRows = recipients.filter((r) => r.ok);
+  if (!sentRows.length) {
+    throw new Error(
+      recipients[0]?.error || "No personalized message was sent.",
+    );
+  }
+  // Individual failures are reported with the claim; nothing left to resume
+  await finishCheckpoint(cpKey);
+  return {
+    mode: "personalized",
+    totalRecipients: entries.length,
+    chunks: plan.length,
+    resumedChunks: skipped,
+    sent: sentRows.length,
+    failed: recipients.length - sentRows.length,
+    transport: summarizeTransport(sentRows.filter((r) => r.transport)),
+    droppedDuplicates,
+    unapproved,
+    recipients,
+  };
+}
+
+// Router helper: chunked bulk send or, with mode "personalized", one
+// conversation per recipient.
+function sendForMode(mode, args, progressCb) {
+  return mode === "personalized"
+    ? sendPersonalizedToStudents(args, progressCb)
+    : sendLinkToCourseStudents(args, progressCb);
+}
+
+// -------- test send to the signed-in user --------
+// The composed message, rendered as the popup would send it, goes to the
+// user themself through the real transport (CSRF retries, GraphQL/REST
+// fallback). No roster, claim or checkpoint is involved. With personalized,
+// their own name fills {first_name}/{full_name}.
+async function sendTestToSelf(
+  {
+    courseId,
+    subject,
+    body,
+    attachmentIds = [],
+    csrfToken,
+    personalized = false,
+    audit = null,
+  },
+) {
+  const me = await fetchCurrentUserProfile();
+  if (!me?.id) throw new Error("Couldn't tell who is signed in.");
+  if (personalized) {
+    // The popup rendered {section_name}; a course without sections has none
+    const vars = { ...personalVars(me), section_name: "" };
+    subject = fillPlaceholders(subject, vars);
+    body = fillPlaceholders(body, vars);
+  }
+  const sent = await sendConversation({
+    courseId,
+    recipientIds: [Number(me.id)],
+    subject,
+    body,
+    attachmentIds,
+    csrfToken,
+    audit: { ...audit, mode: "test" },
+  });
+  return { ...sent, recipient: me.name || me.short_name || String(me.id) };
+}
+
+// -------- replies to conversations we started --------
+const INBOX_SCAN_PAGES = 5; // newest 500 inbox conversations
+
+// Inbox listing rows (newest first) for the conversations in `ids`. Sent
+// conversations show up in the inbox once somebody replies.
+async function listOurInboxConversations(ids) {
+  const ours = new Set(uniqueInts(ids));
+  const out = [];
+  let next = `${location.origin}/api/v1/conversations?scope=inbox&per_page=100`;
+  for (let page = 0; next && page < INBOX_SCAN_PAGES; page++) {
+    const res = await fetchWithRetry(next, { credentials: "include" });
+    for (const c of await res.json()) {
+      if (ours.has(Number(c.id))) out.push(c);
+    }
+    const link = res.headers.get("Link") || res.headers.get("link");
+    const m = link && link.match(/<([^>]+)>;\s*rel="next"/);
+    next = m ? m[1] : null;
+  }
+  return out;
+}
+
+// Messages of one conversation written by anyone but us, newest first, or
+// null when it's gone. Reading never marks the conversation as read.
+async function fetchReplies(conversationId, myId) {
+  let conv;
+  try {
+    const res = await fetchWithRetry(
+      `${location.origin}/api/v1/conversations/${conversationId}` +
+        "?auto_mark_as_read=false",
+      { credentials: "include" },
+    );
+    conv = await res.json();
+  } catch {
+    return null; // deleted or no longer visible
+  }
+  const names = new Map(
+    (conv.participants || []).map((p) => [Number(p.id), p.name]),
+  );
+  return (conv.messages || [])
+    .filter((m) => Number(m.author_id) !== myId)
+    .map((m) => ({
+      messageId: Number(m.id),
+      authorId: Number(m.author_id),
+      authorName: names.get(Number(m.author_id)) || "",
+      at: m.created_at,
+      excerpt: String(m.body || "").trim().slice(0, 200),
+    }));
+}
+
+// known: { "<conversationId>": "<last_message_at already seen>" | null }.
+// Returns every tracked conversation the inbox lists, with its read state
+// and the replies newer than what was seen.
+async function pollReplies(known) {
+  const me = await fetchCurrentUserProfile();
+  const myId = Number(me.id);
+  const listed = await listOurInboxConversations(Object.keys(known));
+  return Promise.all(listed.map(async (c) => {
+    const seen = known[c.id] || null;
+    const update = {
+      id: Number(c.id),
+      lastMessageAt: c.last_message_at || seen,
+      unread: c.workflow_state === "unread",
+      replies: [],
+    };
+    if (c.message_count > 1 && c.last_message_at !== seen) {
+      const replies = await fetchReplies(c.id, myId);
+      update.replies = (replies || []).filter((r) =>
+        !seen || Date.parse(r.at) > Date.parse(seen)
+      );
+    }
+    return update;
+  }));
+}
+
+// -------- opt-out replies --------
+// Replies that ask us to stop. Only suggestions: the popup shows the
+// excerpt and a person decides.
+const OPT_OUT_PHRASES = [
+  "stop",
+  "unsubscribe",
+  "opt[\\s-]?out",
+  "remove me",
+  "do(?:n['’]?t| not) (?:message|contact|text|email) me",
+];
+const OPT_OUT_RE = new RegExp(`\\b(?:${OPT_OUT_PHRASES.join("|")})\\b`, "i");
+
+// Looks at conversations we started (`conversationIds`, from the send
+// history) that have replies, and returns one suggestion per person whose
+// reply matches OPT_OUT_RE.
+async function scanOptOutReplies(conversationIds) {
+  const me = await fetchCurrentUserProfile();
+  const myId = Number(me.id);
+  const replied = (await listOurInboxConversations(conversationIds))
+    .filter((c) => c.message_count > 1);
+
+  const found = new Map(); // userId -> suggestion
+  await Promise.all(replied.map(async (c) => {
+    for (const r of (await fetchReplies(c.id, myId)) || []) {
+      if (found.has(r.authorId) || !OPT_OUT_RE.test(r.excerpt)) continue;
+      found.set(r.authorId, {
+        userId: r.authorId,
+        name: r.authorName,
+        conversationId: Number(c.id),
+        at: r.at,
+        excerpt: r.excerpt,
+      });
+    }
+  }));
+  return Array.from(found.values());
 }
 
 // -------- router --------
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     try {
-      if (!isCanvasOrigin()) {
+      if (!(await isCanvasOrigin())) {
         sendResponse({ ok: false, error: "Not on a Canvas origin." });
         return;
       }
@@ -413,9 +1922,18 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         return;
       }
 
+      if (msg.type === "FETCH_TERMS") {
+        const { terms, currentTermId } = listTermsFromCourses(
+          await fetchMyCourses(),
+        );
+        sendResponse({ ok: true, terms, currentTermId });
+        return;
+      }
+
       if (msg.type === "FETCH_COURSES_FILTERED") {
         const courses = await fetchMyCoursesFiltered(
-          msg.termFilter || "Fall 2025",
+          msg.termFilter || "",
+          msg.termId ?? null,
         );
         sendResponse({ ok: true, courses });
         return;
@@ -433,37 +1951,224 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         return;
       }
 
-      if (msg.type === "SEND_LINK_TO_COURSE") {
-        const { courseId, subject, body, csrfToken } = msg;
-        const out = await sendLinkToCourseStudents(
-          { courseId, subject, body, csrfToken },
-          (note) =>
-            chrome.runtime.sendMessage({
-              type: "SEND_PROGRESS",
-              courseId,
-              note,
-            }),
+      if (msg.type === "FETCH_GROUPS") {
+        const [categories, groups] = await Promise.all([
+          fetchGroupCategories(msg.courseId),
+          fetchCourseGroups(msg.courseId),
+        ]);
+        sendResponse({ ok: true, categories, groups });
+        return;
+      }
+
+      if (msg.type === "RESOLVE_RECIPIENTS") {
+        const userIds = await resolveCourseRecipients(msg);
+        sendResponse({ ok: true, userIds });
+        return;
+      }
+
+      if (msg.type === "REVIEW_RECIPIENTS") {
+        const people = await reviewCourseRecipients(msg);
+        sendResponse({ ok: true, people });
+        return;
+      }
+
+      if (msg.type === "EXPORT_ROSTER") {
+        const rows = await exportCourseRoster(
+          msg.courseId,
+          msg.sectionId ? Number(msg.sectionId) : null,
+          msg.targeting,
         );
-        sendResponse({ ok: true, ...out });
+        sendResponse({ ok: true, rows, columns: ROSTER_COLUMNS });
         return;
       }
 
-      if (msg.type === "SEND_LINK_TO_SECTIONS") {
-        const { courseId, sectionIds, subject, body, csrfToken } = msg;
-        const results = [];
-        for (let i = 0; i < sectionIds.length; i++) {
-          const sid = sectionIds[i];
-          const one = await sendLinkToCourseStudents(
-            { courseId, subject, body, csrfToken },
+      if (msg.type === "SEARCH_RECIPIENTS") {
+        const candidates = await searchRecipientsInCourse(
+          msg.courseId,
+          String(msg.search || "").trim(),
+        );
+        sendResponse({ ok: true, candidates });
+        return;
+      }
+
+      if (msg.type === "SEND_ONE_MESSAGE") {
+        const { courseId, recipientId, subject, body, csrfToken } = msg;
+        if ((await fetchSuppressedIds()).has(Number(recipientId))) {
+          throw new Error("This person opted out of messages from the team.");
+        }
+        const sent = await sendConversation({
+          courseId,
+          recipientIds: [Number(recipientId)],
+          subject,
+          body,
+          csrfToken,
+          audit: { ...msg.audit, mode: "single" },
+        });
+        sendResponse({ ok: true, ...sent });
+        return;
+      }
+
+      if (msg.type === "SEND_TEST_TO_SELF") {
+        const sent = await sendTestToSelf(msg);
+        sendResponse({ ok: true, ...sent });
+        return;
+      }
+
+      if (msg.type === "UPLOAD_ATTACHMENT") {
+        const file = await uploadAttachment(msg, (loaded, total) =>
+          chrome.runtime.sendMessage({
+            type: "UPLOAD_PROGRESS",
+            loaded,
+            total,
+          }).catch(() => {})
+        );
+        sendResponse({ ok: true, file });
+        return;
+      }
+
+      if (msg.type === "POLL_REPLIES") {
+        const conversations = await pollReplies(msg.known || {});
+        sendResponse({ ok: true, conversations });
+        return;
+      }
+
+      if (msg.type === "SCAN_OPT_OUT_REPLIES") {
+        const suggestions = await scanOptOutReplies(msg.conversationIds || []);
+        sendResponse({ ok: true, suggestions });
+        return;
+      }
+
+      if (msg.type === "SEND_LINK_TO_COURSE") {
+        const { courseId, subject, body, csrfToken, dryRun, mode, paceMs } =
+          msg;
+        const attachmentIds = msg.attachmentIds || [];
+        try {
+          const out = await sendForMode(
+            mode,
+            {
+              courseId,
+              subject,
+              body,
+              attachmentIds,
+              csrfToken,
+              dryRun,
+              paceMs,
+              campaign: msg.campaign,
+              resumeOnly: resumeOnlyFor(msg, 0),
+              targeting: msg.targeting,
+              excludeUserIds: msg.excludeUserIds,
+              onlyUserIds: msg.onlyUserIds,
+              audit: msg.audit,
+            },
             (note) =>
               chrome.runtime.sendMessage({
                 type: "SEND_PROGRESS",
                 courseId,
-                sectionId: sid,
                 note,
               }),
           );
-          results.push({ sectionId: sid, ...one });
+          sendResponse({ ok: true, ...out });
+        } catch (e) {
+          console.error("course send failed", courseId, e);
+          sendResponse(failureFields(e));
+        }
+        return;
+      }
+
+      if (msg.type === "SEND_LINK_TO_SECTIONS") {
+        const { courseId, csrfToken, dryRun, mode, paceMs } = msg;
+        const attachmentIds = msg.attachmentIds || [];
+        // Each section may carry its own rendered subject/body; the legacy
+        // shape (sectionIds + one subject/body) is still accepted.
+        const sections = msg.sections ||
+          (msg.sectionIds || []).map((sectionId) => ({
+            sectionId,
+            subject: msg.subject,
+            body: msg.body,
+          }));
+        // One failing section must not hide the others' outcome: only the
+        // claims of sections that did not go out at all are released.
+        for (const { sectionId } of sections) {
+          fetchSectionRoster(Number(sectionId), msg.targeting).catch(() => {});
+        }
+        const results = [];
+        for (const { sectionId, sectionName, subject, body } of sections) {
+          const sid = Number(sectionId);
+          try {
+            const one = await sendForMode(
+              mode,
+              {
+                courseId,
+                sectionId: sid,
+                subject,
+                body,
+                attachmentIds,
+                csrfToken,
+                dryRun,
+                paceMs,
+                campaign: msg.campaign,
+                resumeOnly: resumeOnlyFor(msg, sid),
+                targeting: msg.targeting,
+                excludeUserIds: msg.excludeUserIds,
+                onlyUserIds: msg.onlyUserIds,
+                audit: { ...msg.audit, sectionName },
+              },
+              (note) =>
+                chrome.runtime.sendMessage({
+                  type: "SEND_PROGRESS",
+                  courseId,
+                  sectionId: sid,
+                  note,
+                }),
+            );
+            results.push({ sectionId: sid, ok: true, ...one });
+          } catch (e) {
+            console.error("section send failed", sid, e);
+            results.push({ sectionId: sid, ...failureFields(e) });
+          }
+        }
+        sendResponse({ ok: true, results });
+        return;
+      }
+
+      if (msg.type === "SEND_LINK_TO_GROUPS") {
+        const { courseId, csrfToken, dryRun, mode, paceMs } = msg;
+        const attachmentIds = msg.attachmentIds || [];
+        // Same contract as SEND_LINK_TO_SECTIONS, one result per group
+        const results = [];
+        for (const { groupId, groupName, subject, body } of msg.groups || []) {
+          const gid = Number(groupId);
+          try {
+            const one = await sendForMode(
+              mode,
+              {
+                courseId,
+                groupId: gid,
+                subject,
+                body,
+                attachmentIds,
+                csrfToken,
+                dryRun,
+                paceMs,
+                campaign: msg.campaign,
+                resumeOnly: resumeOnlyFor(msg, gid),
+                excludeUserIds: msg.excludeUserIds,
+                onlyUserIds: msg.onlyUserIds,
+                audit: { ...msg.audit, groupName },
+              },
+              (note) =>
+                chrome.runtime.sendMessage({
+                  type: "SEND_PROGRESS",
+                  courseId,
+                  groupId: gid,
+                  note,
+                }),
+            );
+            results.push({ groupId: gid, ok: true, ...one });
+          } catch (e) {
+            console.error("group send failed", gid, e);
+            results.push({ groupId: gid, ...failureFields(e) });
+          }
         }
         sendResponse({ ok: true, results });
         return;
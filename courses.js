@@ -0,0 +1,201 @@
+// courses.js  (module; shared by popup.js and the background job runner)
+// Course-derived values: term keys/labels, school and course slugs, and the
+// CourseLynx join link built from them.
+
+// --- Join link schema in storage.local ---
+// {
+//   joinLinkSettings: {
+//     schools: { "<host label>": "<school>" },   // over SCHOOL_OVERRIDES
+//     subjects: { "<SUBJECT>": "<slug>" },       // over SUBJECT_MAP
+//     courses: { "<host>": { "<courseId>": { school?, slug? } } }
+//   } | undefined
+// }
+export async function getJoinLinkSettings() {
+  const { joinLinkSettings: s } = await chrome.storage.local.get([
+    "joinLinkSettings",
+  ]);
+  return {
+    schools: s?.schools || {},
+    subjects: s?.subjects || {},
+    courses: s?.courses || {},
+  };
+}
+
+export async function saveJoinLinkSettings(settings) {
+  await chrome.storage.local.set({ joinLinkSettings: settings });
+}
+
+// Lowercase letters, digits, "_" and "-" only: the value is a URL segment
+export function cleanLinkPart(v) {
+  return String(v ?? "").trim().toLowerCase().replace(/[^a-z0-9_-]/g, "");
+}
+
+// override: { school?, slug? }; empty parts fall back to the computed value
+// and an empty override removes the course's entry.
+export async function setCourseLinkOverride(host, courseId, override) {
+  const settings = await getJoinLinkSettings();
+  const school = cleanLinkPart(override?.school);
+  const slug = cleanLinkPart(override?.slug);
+  const byCourse = { ...settings.courses[host] };
+  if (school || slug) {
+    byCourse[courseId] = {
+      ...(school ? { school } : {}),
+      ...(slug ? { slug } : {}),
+    };
+  } else delete byCourse[courseId];
+  settings.courses = { ...settings.courses, [host]: byCourse };
+  if (!Object.keys(byCourse).length) delete settings.courses[host];
+  await saveJoinLinkSettings(settings);
+  return settings;
+}
+
+export const SCHOOL_OVERRIDES = new Map([
+  // explicit overrides you mentioned:
+  ["usflearn", "usf"],
+  ["bruinlearn", "ucla"], // bruinlearn.ucla.edu -> ucla
+]);
+
+export function extractSchool(host, settings) {
+  if (!host) return "";
+  const overrides = new Map([
+    ...SCHOOL_OVERRIDES,
+    ...Object.entries(settings?.schools || {}),
+  ]);
+
+  // 1) *.instructure.com => take first label (with overrides)
+  if (host.endsWith(".instructure.com")) {
+    const first = host.split(".")[0];
+    return overrides.get(first) || first;
+  }
+
+  // 2) canvas/learn/webcourses/bruinlearn.school.tld => take 2nd label
+  //    e.g., canvas.wisc.edu -> wisc, webcourses.ucf.edu -> ucf
+  const m = host.match(/^(canvas|learn|webcourses|bruinlearn)\.([^.]+)/i);
+  if (m) {
+    const lbl = m[2].toLowerCase();
+    // If the branded subdomain itself maps to an override, respect it.
+    const branded = m[1].toLowerCase();
+    const overrideKey = overrides.get(branded);
+    return overrideKey || overrides.get(lbl) || lbl;
+  }
+
+  // 3) Otherwise: use first label as a fallback
+  const first = host.split(".")[0].toLowerCase();
+  return overrides.get(first) || first;
+}
+
+export function toTermKey(label) {
+  return (label || "")
+    .trim().toLowerCase()
+    .replace(/spring\s*'?([0-9]{2})\b/g, "spring 20$1")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+export function getTermLabel(c) {
+  return c?.enrollment_term?.name || c?.term?.name || "";
+}
+
+/* =========================
+   Get the right course code
+   ========================= */
+// ---- Term tokens to strip from course_code/name before parsing subject+number ----
+const TERM_TOKENS_RE = new RegExp(
+  [
+    // Compact codes like 2025FA, 2025SP, FA2025, SP2025, AU2025 (FSU uses AU=Autumn/Fall)
+    String.raw`\b(20\d{2})(?:\s*[-_ ]?)?(FA|SP|SU|SM|WI|AU)\b`,
+    String.raw`\b(FA|SP|SU|SM|WI|AU)(?:\s*[-_ ]?)?(20\d{2})\b`,
+    // Wordy forms like "Fall 2025", "2025 Fall", "2025 Fall 1", "Fall 2025 Main"
+    String.raw`\b(20\d{2})\s*(fall|autumn|spring|summer|winter)\b`,
+    String.raw`\b(fall|autumn|spring|summer|winter)\s*(20\d{2})\b`,
+    // Standalone season words with optional session marker
+    String.raw`\b(fall|autumn|spring|summer|winter)\s*\d?\b`,
+    // Extra: AU 2025 (explicit space form)
+    String.raw`\bau\s*20\d{2}\b`,
+  ].join("|"),
+  "gi",
+);
+
+// Remove parenthetical chunks like "(12345)" or "(Lecture)"
+const PARENS_RE = /\([^)]*\)/g;
+
+// Map some long subject words to their short code (tweak as you learn schools)
+export const SUBJECT_MAP = {
+  BIOLOGY: "biol",
+  CHEMISTRY: "chem",
+  PHYSICS: "phys",
+  PHILOSOPHY: "phil",
+  // OSU-style multiword subjects (ARTSSCI, BUSFIN, BIOCHEM) should pass through.
+};
+
+// Try to extract SUBJECT + 3–4 digit number and return "subject_1234"
+function parseSubjectNumberSlug(raw, subjects = SUBJECT_MAP) {
+  if (!raw) return null;
+  let s = String(raw).toUpperCase();
+
+  // Drop parentheses and term tokens like "AU2025", "Fall 2025", "2025 Fall 1"
+  s = s.replace(PARENS_RE, " ");
+  s = s.replace(TERM_TOKENS_RE, " ");
+  s = s.replace(/\s+/g, " ").trim();
+
+  // Pattern: SUBJECT 1234(.section)? or SUBJECT1234
+  // e.g., "ARTSSCI 1100.14", "BUSFIN 3220", "BIOCHEM4511", "BIOLOGY 1114.01"
+  let m = s.match(/\b([A-Z&]{2,})\s*([0-9]{3,4})(?:[.\-][0-9A-Z]{1,3})?\b/);
+  if (!m) {
+    // fallback where subject & number are stuck but followed by junk
+    m = s.match(/\b([A-Z&]{2,}?)([0-9]{3,4})\b/);
+  }
+  if (!m) return null;
+
+  let subj = m[1];
+  const num = m[2];
+
+  // Normalize subject token -> lowercase, '&' -> 'and'
+  let subjNorm = subj.toLowerCase().replace(/&/g, "and");
+  if (subjects[subj]) subjNorm = subjects[subj];
+
+  return `${subjNorm}_${num}`;
+}
+
+// Fallback slug if we can’t parse a clean subject+number
+function fallbackSlug(raw) {
+  return (raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_")
+    .replace(/[^a-z0-9_]/g, "")
+    .replace(/([a-z])([0-9])/g, "$1_$2"); // add underscore between letter+digit
+}
+
+// Given a course object, produce the best join-link slug
+export function courseSlugFromCourse(course, settings) {
+  const subjects = { ...SUBJECT_MAP, ...settings?.subjects };
+  // Try course_code first (usually best), then name
+  const try1 = parseSubjectNumberSlug(course?.course_code, subjects);
+  if (try1) return try1;
+
+  const try2 = parseSubjectNumberSlug(course?.name, subjects);
+  if (try2) return try2;
+
+  // Fallback to normalized course_code or name
+  return fallbackSlug(course?.course_code || course?.name || "");
+}
+
+// The computed school/slug and the ones a send uses (the course's saved
+// override wins). settings comes from getJoinLinkSettings().
+export function joinLinkParts(host, course, settings) {
+  const computedSchool = extractSchool(host, settings);
+  const computedSlug = courseSlugFromCourse(course, settings);
+  const override = settings?.courses?.[host]?.[course?.id] || {};
+  return {
+    school: override.school || computedSchool,
+    slug: override.slug || computedSlug,
+    computedSchool,
+    computedSlug,
+    overridden: !!(override.school || override.slug),
+  };
+}
+
+export function joinUrlFor(host, course, settings) {
+  const { school, slug } = joinLinkParts(host, course, settings);
+  return `https://app.courselynx.com/join/${school}/${slug}`;
+}
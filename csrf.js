@@ -0,0 +1,14 @@
+// csrf.js  (module; background.js and the job runner)
+// Reads the CSRF token background.js captured from Canvas traffic.
+
+// Prefer header value (what UI actually used), else cookie
+export async function readLatestCsrf() {
+  const data = await chrome.storage.local.get(["csrfHeader", "csrfCookie"]);
+  return {
+    csrf: data.csrfHeader?.value || data.csrfCookie?.value || null,
+    sources: {
+      header: data.csrfHeader || null,
+      cookie: data.csrfCookie || null,
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// dedupe.js  (module; used by popup.js and the background job runner)
+// Cross-course deduplication for batch sends: a student enrolled in several
+// of the selected courses is messaged from one of them only. The rosters
+// are resolved first (RESOLVE_RECIPIENTS in content.js), then every student
+// is assigned to one course by the chosen rule and excluded from the rest.
+
+export const DEDUP_RULES = [
+  { key: "first", label: "first selected course" },
+  { key: "smallest", label: "smallest course" },
+];
+
+export function normalizeDedupRule(rule) {
+  return DEDUP_RULES.some((r) => r.key === rule) ? rule : null;
+}
+
+// rosters: [{ courseId, userIds }] in selection order. Returns
+// {
+//   rule, total (messages without dedup), unique, dropped,
+//   courses: { "<courseId>": { recipients, kept, excluded: [userIds] } }
+// }
+export function planDedup(rosters, rule = "first") {
+  const order = rosters.map((r, i) => ({
+    courseId: r.courseId,
+    ids: Array.from(new Set(r.userIds.map(Number))),
+    i,
+  }));
+  const owners = rule === "smallest"
+    ? order.slice().sort((a, b) => a.ids.length - b.ids.length || a.i - b.i)
+    : order;
+
+  const owner = new Map(); // userId -> courseId
+  for (const r of owners) {
+    for (const id of r.ids) if (!owner.has(id)) owner.set(id, r.courseId);
+  }
+
+  const courses = {};
+  let total = 0;
+  for (const r of order) {
+    const excluded = r.ids.filter((id) => owner.get(id) !== r.courseId);
+    courses[r.courseId] = {
+      recipients: r.ids.length,
+      kept: r.ids.length - excluded.length,
+      excluded,
+    };
+    total += r.ids.length;
+  }
+  return {
+    rule,
+    total,
+    unique: owner.size,
+    dropped: total - owner.size,
+    courses,
+  };
+}
@@ -0,0 +1,95 @@
+// domains.js — the single registry of Canvas hosts the extension runs on.
+//
+// Works both as a classic script (content scripts list it before content.js)
+// and as a side-effect module import (background, popup, options), so the
+// API is published on globalThis.CourseLynxDomains rather than exported.
+//
+// --- Custom domains schema in storage.local ---
+// {
+//   customCanvasDomains: ["canvas.school.edu", "*.lms.school.edu"] | undefined
+// }
+(() => {
+  // Shipped hosts: keep in sync with manifest.json host_permissions and
+  // content_scripts.matches (those must be static).
+  const BUILTIN_CANVAS_HOSTS = [
+    "*.instructure.com",
+    "canvas.wisc.edu",
+    "webcourses.ucf.edu",
+    "bruinlearn.ucla.edu",
+    "canvas.fsu.edu",
+    "canvas.tamu.edu",
+  ];
+  const CUSTOM_DOMAINS_KEY = "customCanvasDomains";
+  const CUSTOM_SCRIPT_ID = "courselynx-custom-canvas";
+
+  // Accepts "canvas.school.edu", "https://canvas.school.edu/courses/1" or
+  // "*.school.edu"; returns the lowercase host (pattern) or null if invalid.
+  function normalizeHost(input) {
+    let s = String(input || "").trim().toLowerCase();
+    s = s.replace(/^[a-z]+:\/\//, "").replace(/[/?#].*$/, "");
+    s = s.replace(/:\d+$/, "");
+    const wildcard = s.startsWith("*.");
+    const bare = wildcard ? s.slice(2) : s;
+    if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(bare)) return null;
+    return wildcard ? `*.${bare}` : bare;
+  }
+
+  // Chrome match-pattern semantics: "*.x.com" matches x.com and any subdomain
+  function hostMatches(pattern, host) {
+    const h = String(host || "").toLowerCase();
+    if (pattern.startsWith("*.")) {
+      const base = pattern.slice(2);
+      return h === base || h.endsWith(`.${base}`);
+    }
+    return h === pattern;
+  }
+
+  function matchPatternsFor(hosts) {
+    return hosts.map((h) => `https://${h}/*`);
+  }
+
+  async function getCustomDomains() {
+    const data = await chrome.storage.local.get([CUSTOM_DOMAINS_KEY]);
+    return (data[CUSTOM_DOMAINS_KEY] || []).map(normalizeHost).filter(Boolean);
+  }
+
+  async function setCustomDomains(hosts) {
+    const clean = Array.from(new Set(hosts.map(normalizeHost).filter(Boolean)))
+      .filter((h) => !BUILTIN_CANVAS_HOSTS.includes(h));
+    await chrome.storage.local.set({ [CUSTOM_DOMAINS_KEY]: clean });
+    return clean;
+  }
+
+  async function getAllDomains() {
+    return [...BUILTIN_CANVAS_HOSTS, ...(await getCustomDomains())];
+  }
+
+  async function isCanvasHost(host) {
+    const all = await getAllDomains();
+    return all.some((p) => hostMatches(p, host));
+  }
+
+  async function isCanvasUrl(u) {
+    try {
+      const { host, protocol } = new URL(u);
+      if (protocol !== "https:") return false;
+      return await isCanvasHost(host);
+    } catch {
+      return false;
+    }
+  }
+
+  globalThis.CourseLynxDomains = {
+    BUILTIN_CANVAS_HOSTS,
+    CUSTOM_DOMAINS_KEY,
+    CUSTOM_SCRIPT_ID,
+    normalizeHost,
+    hostMatches,
+    matchPatternsFor,
+    getCustomDomains,
+    setCustomDomains,
+    getAllDomains,
+    isCanvasHost,
+    isCanvasUrl,
+  };
+})();
@@ -0,0 +1,40 @@
+// export.js  (loaded by popup.html as a module)
+// Small helpers to turn row objects into CSV/JSON files the user downloads.
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Columns default to the keys of the first row
+export function toCsv(rows, columns) {
+  const cols = columns || Object.keys(rows[0] || {});
+  const lines = [cols.map(csvCell).join(",")];
+  for (const r of rows) lines.push(cols.map((c) => csvCell(r[c])).join(","));
+  return lines.join("\r\n");
+}
+
+export function downloadFile(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "csv" | "json" -> downloads rows under `<basename>.<format>`. Pass the
+// columns when rows can be empty, so the CSV still has its header.
+export function downloadRows(basename, rows, format = "csv", columns) {
+  if (format === "json") {
+    downloadFile(
+      `${basename}.json`,
+      JSON.stringify(rows, null, 2),
+      "application/json",
+    );
+    return;
+  }
+  downloadFile(`${basename}.csv`, toCsv(rows, columns), "text/csv");
+}
@@ -0,0 +1,1083 @@
+// jobs.js  (imported by background.js)
+// Send jobs: the batch "Send link to selected" run, owned by the service
+// worker so it keeps going after the popup closes. The content script in the
+// job's Canvas tab is only the executor (sections, rosters, POSTs); claims,
+// rendering and bookkeeping happen here. The job is written to storage after
+// every step, so a restarted worker can pick it up again and a reopened popup
+// can reattach to it.
+//
+// --- Send job schema in storage.local ---
+// {
+//   sendJob: {
+//     id: "<uuid>",
+//     status: "running" | "done" | "cancelled" | "failed",
+//     tabId: 123, host: "<canvas host>",
+//     draft: { subject, body, attachment?: { id, name, size, host } },
+//     options: { dryRun, mode: "bulk" | "personalized", paceMs, resume,
+//       targeting: { types: ["student"], states: ["active"] },
+//       groups?: { "<courseId>": [{ id, name }] } (send to these groups
+//         instead of the course's sections),
+//       dedupe?: "first" | "smallest" (cross-course dedup rule, dedupe.js),
+//       approved?: { "<courseId>": [userIds] } (reviewed in the popup: only
+//         these are messaged) },
+//     dedup?: planDedup() result, once the rosters were resolved,
+//     courses: [{
+//       course: { id, name, course_code, term },
+//       status: "pending" | "running" | "done" | "failed" | "interrupted" |
+//         "cancelled",
+//       message: "<last status line>",
+//       report?: [...dry-run sections], recipients?: [...personalized rows],
+//       inFlight?: { kind: "section" | "group", claims: [{ id, metadata }] }
+//         (claims handed to the content script and not settled yet)
+//     }],
+//     progress: { "<courseId>:<sectionId or g<groupId>>":
+//       { totalChunks, sentChunks } },
+//     cancelRequested: false,
+//     createdAt, updatedAt, finishedAt: 1690000000000
+//   } | undefined
+// }
+
+import {
+  claimCourse,
+  claimGroup,
+  getCourseGroupSends,
+  getCourseSends,
+  markGroupPartial,
+  markGroupSent,
+  markPartial,
+  markSent,
+  releaseClaim,
+  releaseGroupClaim,
+} from "./db.js";
+import { assertAttachmentHost, renderCourseMessages } from "./compose.js";
+import { getJoinLinkSettings, getTermLabel, toTermKey } from "./courses.js";
+import { readLatestCsrf } from "./csrf.js";
+import { normalizeDedupRule, planDedup } from "./dedupe.js";
+import { normalizeTargeting } from "./targeting.js";
+
+const JOB_KEY = "sendJob";
+
+let job = null; // the job this worker is running (or last ran)
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Persist, then tell any open popup. Nobody listening is fine.
+async function saveJob() {
+  job.updatedAt = Date.now();
+  await chrome.storage.local.set({ [JOB_KEY]: job });
+  chrome.runtime.sendMessage({ type: "JOB_UPDATE", job }).catch(() => {});
+}
+
+// Extension API calls keep the worker alive between long content replies
+let _keepAliveTimer = null;
+function startKeepAlive() {
+  if (_keepAliveTimer) return;
+  _keepAliveTimer = setInterval(() => {
+    chrome.runtime.getPlatformInfo().catch(() => {});
+  }, 20000);
+}
+function stopKeepAlive() {
+  clearInterval(_keepAliveTimer);
+  _keepAliveTimer = null;
+}
+
+// FETCH_SELF once per job; the profile names the sender and fills
+// {sender_name}
+let _sender = null; // { jobId, profile }
+async function senderProfile() {
+  if (_sender?.jobId !== job.id) {
+    const profile = await chrome.tabs.sendMessage(job.tabId, {
+      type: "FETCH_SELF",
+    });
+    _sender = { jobId: job.id, profile };
+  }
+  return _sender.profile;
+}
+
+/* =========================
+   Collect remaining sections for a course
+   ========================= */
+async function collectRemainingSectionIds(tabId, canvasHost, course) {
+  const resp = await chrome.tabs.sendMessage(tabId, {
+    type: "FETCH_SECTIONS",
+    courseId: course.id,
+  });
+  if (!resp?.ok) throw new Error(resp?.error || "Failed to fetch sections");
+  const sections = resp.sections || [];
+  const sectionIds = sections.length ? sections.map((s) => Number(s.id)) : [0];
+  const sectionNames = new Map(sections.map((s) => [Number(s.id), s.name]));
+
+  const termLabel = getTermLabel(course);
+  const termKey = toTermKey(termLabel);
+  const rows = await getCourseSends({
+    canvasDomain: canvasHost,
+    courseId: course.id,
+    termKey,
+  });
+  const claimed = new Set(
+    rows.map((r) => (r.section_id === null ? 0 : Number(r.section_id))),
+  );
+
+  return {
+    sectionIds: sectionIds.filter((id) => !claimed.has(id)),
+    sectionNames,
+    canvasHost,
+    termKey,
+    termLabel,
+  };
+}
+
+// Picked groups of a course not claimed yet this term
+async function collectRemainingGroupIds(canvasHost, course, groups) {
+  const rows = await getCourseGroupSends({
+    canvasDomain: canvasHost,
+    courseId: course.id,
+    termKey: toTermKey(getTermLabel(course)),
+  });
+  const claimed = new Set(rows.map((r) => Number(r.group_id)));
+  const groupNames = new Map(groups.map((g) => [Number(g.id), g.name]));
+  return {
+    groupIds: Array.from(groupNames.keys()).filter((id) => !claimed.has(id)),
+    groupNames,
+  };
+}
+
+/* =========================
+   Cross-course dedup
+   ========================= */
+// With options.dedupe, everyone each pending course would message is
+// resolved before anything is sent, and dedupe.js assigns every student to
+// one course. The plan is kept on the job, so a restarted worker doesn't
+// redo it. A roster that can't be resolved fails the job: sending without
+// the plan would message those students several times.
+async function planJobDedup() {
+  const rule = normalizeDedupRule(job.options.dedupe);
+  if (!rule || job.options.resume || job.dedup) return;
+  const pending = job.courses.filter((e) => e.status === "pending");
+  if (pending.length < 2) return;
+
+  const rosters = [];
+  for (const entry of pending) {
+    const { course } = entry;
+    // A reviewed course sends to its approved set and nobody else
+    const approved = approvedFor(course);
+    if (approved) {
+      rosters.push({ courseId: course.id, userIds: approved });
+      continue;
+    }
+    entry.message = "Checking for students in several courses…";
+    await saveJob();
+    const groups = job.options.groups?.[course.id];
+    const targets = groups?.length
+      ? {
+        groupIds: (await collectRemainingGroupIds(job.host, course, groups))
+          .groupIds,
+      }
+      : {
+        sectionIds:
+          (await collectRemainingSectionIds(job.tabId, job.host, course))
+            .sectionIds,
+        targeting: normalizeTargeting(job.options.targeting),
+      };
+    const resp = await chrome.tabs.sendMessage(job.tabId, {
+      type: "RESOLVE_RECIPIENTS",
+      courseId: course.id,
+      ...targets,
+    });
+    if (!resp?.ok) {
+      throw new Error(
+        `Couldn't resolve ${course.course_code || course.id} for ` +
+          `deduplication: ${resp?.error || "no answer from the tab"}`,
+      );
+    }
+    rosters.push({ courseId: course.id, userIds: resp.userIds });
+    entry.message = "Queued…";
+  }
+  job.dedup = planDedup(rosters, rule);
+  await saveJob();
+}
+
+// Students the dedup plan gives to another course
+function dedupExclusions(course) {
+  return job.dedup?.courses[course.id]?.excluded || [];
+}
+
+// The recipients approved in the popup's review, or null (not reviewed)
+function approvedFor(course) {
+  return job.options.approved?.[course.id] || null;
+}
+
+// markSent/markPartial fields for who a section left out: duplicates the
+// dedup plan gave to another course (droppedUserIds) and people unticked
+// in the review (onlyUserIds is the approved set). Resume reads both back
+// (resumeClaims), so a partial claim stores the course's full exclusions,
+// not only the ones its failed section got to.
+function narrowedMetadata(out, { dedupRule, droppedUserIds, onlyUserIds }) {
+  return {
+    ...(droppedUserIds?.length
+      ? {
+        dedup: {
+          rule: dedupRule || null,
+          dropped_user_ids: droppedUserIds,
+        },
+      }
+      : {}),
+    ...(onlyUserIds
+      ? {
+        review: {
+          approved_user_ids: onlyUserIds,
+          ...(out?.unapproved?.length
+            ? { unapproved_user_ids: out.unapproved }
+            : {}),
+        },
+      }
+      : {}),
+  };
+}
+
+// " (N left to another selected course)" for status lines
+function droppedNote(outcomes) {
+  const n = outcomes.reduce(
+    (sum, x) => sum + (x?.droppedDuplicates?.length || 0),
+    0,
+  );
+  return n ? ` (${n} left to another selected course)` : "";
+}
+
+/* =========================
+   Send for one course
+   ========================= */
+// Ask the content script to send (or, with dryRun, only plan) for the given
+// sections. Section 0 means "course without sections": the whole roster.
+// Otherwise each section is sent to its own students only.
+// `messages` maps sectionId -> rendered { subject, body }; `sectionNames`
+// only labels the audit log entries.
+async function requestSectionSends(
+  tabId,
+  courseId,
+  sectionIds,
+  messages,
+  payload,
+  sectionNames = new Map(),
+) {
+  const outcomes = new Map(); // sectionId -> { ok, totalRecipients, chunks, error }
+  if (sectionIds.includes(0)) {
+    const sendResp = await chrome.tabs.sendMessage(tabId, {
+      type: "SEND_LINK_TO_COURSE",
+      courseId,
+      ...messages.get(0),
+      ...payload,
+    });
+    outcomes.set(0, sendResp?.ok ? sendResp : {
+      ok: false,
+      error: sendResp?.error || "Send failed",
+    });
+    return outcomes;
+  }
+  const sendResp = await chrome.tabs.sendMessage(tabId, {
+    type: "SEND_LINK_TO_SECTIONS",
+    courseId,
+    sections: sectionIds.map((sid) => ({
+      sectionId: sid,
+      sectionName: sectionNames.get(sid) || null,
+      ...messages.get(sid),
+    })),
+    ...payload,
+  });
+  for (const sid of sectionIds) {
+    const one = sendResp?.results?.find((r) => r.sectionId === sid);
+    outcomes.set(sid, one || {
+      ok: false,
+      error: sendResp?.error || "Send failed",
+    });
+  }
+  return outcomes;
+}
+
+// Same for Canvas groups of the course: one SEND_LINK_TO_GROUPS call, one
+// outcome per group id
+async function requestGroupSends(
+  tabId,
+  courseId,
+  groupIds,
+  messages,
+  payload,
+  groupNames = new Map(),
+) {
+  const sendResp = await chrome.tabs.sendMessage(tabId, {
+    type: "SEND_LINK_TO_GROUPS",
+    courseId,
+    groups: groupIds.map((gid) => ({
+      groupId: gid,
+      groupName: groupNames.get(gid) || null,
+      ...messages.get(gid),
+    })),
+    ...payload,
+  });
+  const outcomes = new Map();
+  for (const gid of groupIds) {
+    const one = sendResp?.results?.find((r) => r.groupId === gid);
+    outcomes.set(gid, one || {
+      ok: false,
+      error: sendResp?.error || "Send failed",
+    });
+  }
+  return outcomes;
+}
+
+// Section claims and group claims are sent and settled the same way, with
+// their own content-script call and claim store rows
+const CLAIM_KINDS = {
+  section: {
+    key: "sectionId",
+    nameKey: "sectionName",
+    unit: "section(s)",
+    request: requestSectionSends,
+    markSent,
+    markPartial,
+    release: releaseClaim,
+    metadata: (c) => ({ section_id: c.sectionId === 0 ? null : c.sectionId }),
+  },
+  group: {
+    key: "groupId",
+    nameKey: "groupName",
+    unit: "group(s)",
+    request: requestGroupSends,
+    markSent: markGroupSent,
+    markPartial: markGroupPartial,
+    release: releaseGroupClaim,
+    metadata: (c) => ({ group_id: c.groupId, group_name: c.groupName }),
+  },
+};
+
+// One course of the job. With dryRun nothing is claimed, POSTed or marked:
+// the content script only resolves recipients and chunks, and the report
+// is returned. `status` reports progress text for the course.
+async function sendCourse(course, status) {
+  const { tabId, host, draft, options } = job;
+  if (options.resume) return resumeCourse(course, status);
+  const groups = options.groups?.[course.id];
+  if (groups?.length) return sendCourseGroups(course, groups, status);
+  const dryRun = !!options.dryRun;
+  const personalized = options.mode === "personalized";
+  const targeting = normalizeTargeting(options.targeting);
+  const excludeUserIds = dedupExclusions(course);
+  const onlyUserIds = approvedFor(course);
+  const modePayload = personalized
+    ? { mode: "personalized", paceMs: options.paceMs, targeting }
+    : { mode: "bulk", targeting };
+  const termLabel = getTermLabel(course);
+  const termKey = toTermKey(termLabel);
+  // Uploaded once from the composer; every chunk of every course reuses it
+  const attachmentIds = draft.attachment ? [draft.attachment.id] : [];
+
+  await status("Checking remaining sections…");
+  const { sectionIds, sectionNames, canvasHost } =
+    await collectRemainingSectionIds(tabId, host, course);
+
+  // Placeholders are rendered per section with the sender's own name;
+  // in personalized mode content.js fills the per-student ones.
+  const userProfile = await senderProfile();
+  const { joinUrl, messages } = renderCourseMessages({
+    draft,
+    host,
+    course,
+    sectionIds,
+    sectionNames,
+    senderName: userProfile?.short_name || userProfile?.name || "",
+    perRecipient: personalized,
+    linkSettings: await getJoinLinkSettings(),
+  });
+
+  if (!sectionIds.length) {
+    await status("Already sent for all sections.");
+    return dryRun ? { report: [] } : {};
+  }
+
+  if (dryRun) {
+    await status("Dry run: resolving recipients…");
+    const outcomes = await requestSectionSends(
+      tabId,
+      course.id,
+      sectionIds,
+      messages,
+      {
+        dryRun: true,
+        attachmentIds,
+        excludeUserIds,
+        onlyUserIds,
+        ...modePayload,
+      },
+    );
+    const sections = sectionIds.map((sid) => ({
+      sectionId: sid,
+      sectionName: sid === 0
+        ? "Whole course"
+        : sectionNames.get(sid) || `Section ${sid}`,
+      ...messages.get(sid),
+      ...outcomes.get(sid),
+    }));
+    const total = sections.reduce((n, x) => n + (x.totalRecipients || 0), 0);
+    await status(
+      `Dry run: would claim ${sections.length} section(s) and message ` +
+        `${total} recipient(s)${droppedNote(sections)}.`,
+    );
+    return { report: sections };
+  }
+
+  // Claim all unclaimed sections (one by one)
+  await status(`Claiming ${sectionIds.length} section(s)…`);
+  const claims = [];
+  const senderEmail = userProfile?.primary_email || null;
+  for (const sid of sectionIds) {
+    try {
+      const claim = await claimCourse({
+        canvasDomain: canvasHost,
+        courseId: course.id,
+        courseCode: course.course_code || null,
+        courseName: course.name || null,
+        sectionId: sid === 0 ? null : sid,
+        sectionName: sectionNames.get(sid) || null,
+        termKey,
+        termLabel,
+        linkUrl: joinUrl,
+        sender: senderEmail,
+      });
+      if (claim && !claim.already_exists) {
+        claims.push({
+          sectionId: sid,
+          claimId: claim.id,
+          sectionName: sectionNames.get(sid) || null,
+        });
+      }
+    } catch {
+      // race is fine, just skip
+    }
+  }
+  if (!claims.length) {
+    await status("Nothing to send — all sections claimed.");
+    return {};
+  }
+
+  return deliver(
+    {
+      course,
+      claims,
+      messages,
+      joinUrl,
+      personalized,
+      attachmentIds,
+      targeting,
+      excludeUserIds,
+      onlyUserIds,
+      campaign: termKey,
+      resume: false,
+    },
+    status,
+  );
+}
+
+// The groups picked for `course` instead of its sections. Each group is
+// claimed on its own; {section_name} renders as the group name.
+async function sendCourseGroups(course, groups, status) {
+  const { tabId, host, draft, options } = job;
+  const dryRun = !!options.dryRun;
+  const personalized = options.mode === "personalized";
+  const modePayload = personalized
+    ? { mode: "personalized", paceMs: options.paceMs }
+    : { mode: "bulk" };
+  const termLabel = getTermLabel(course);
+  const termKey = toTermKey(termLabel);
+  const attachmentIds = draft.attachment ? [draft.attachment.id] : [];
+  const excludeUserIds = dedupExclusions(course);
+  const onlyUserIds = approvedFor(course);
+
+  await status("Checking remaining groups…");
+  const { groupIds, groupNames } = await collectRemainingGroupIds(
+    host,
+    course,
+    groups,
+  );
+
+  const userProfile = await senderProfile();
+  const { joinUrl, messages } = renderCourseMessages({
+    draft,
+    host,
+    course,
+    sectionIds: groupIds,
+    sectionNames: groupNames,
+    senderName: userProfile?.short_name || userProfile?.name || "",
+    perRecipient: personalized,
+    linkSettings: await getJoinLinkSettings(),
+  });
+
+  if (!groupIds.length) {
+    await status("Already sent to every picked group.");
+    return dryRun ? { report: [] } : {};
+  }
+
+  if (dryRun) {
+    await status("Dry run: resolving group members…");
+    const outcomes = await requestGroupSends(
+      tabId,
+      course.id,
+      groupIds,
+      messages,
+      {
+        dryRun: true,
+        attachmentIds,
+        excludeUserIds,
+        onlyUserIds,
+        ...modePayload,
+      },
+    );
+    const report = groupIds.map((gid) => ({
+      groupId: gid,
+      sectionName: groupNames.get(gid) || `Group ${gid}`,
+      ...messages.get(gid),
+      ...outcomes.get(gid),
+    }));
+    const total = report.reduce((n, x) => n + (x.totalRecipients || 0), 0);
+    await status(
+      `Dry run: would claim ${report.length} group(s) and message ` +
+        `${total} recipient(s)${droppedNote(report)}.`,
+    );
+    return { report };
+  }
+
+  await status(`Claiming ${groupIds.length} group(s)…`);
+  const claims = [];
+  for (const gid of groupIds) {
+    try {
+      const claim = await claimGroup({
+        canvasDomain: host,
+        courseId: course.id,
+        courseCode: course.course_code || null,
+        courseName: course.name || null,
+        groupId: gid,
+        groupName: groupNames.get(gid) || null,
+        termKey,
+        termLabel,
+        linkUrl: joinUrl,
+        sender: userProfile?.primary_email || null,
+      });
+      if (claim && !claim.already_exists) {
+        claims.push({
+          groupId: gid,
+          claimId: claim.id,
+          groupName: groupNames.get(gid) || null,
+        });
+      }
+    } catch {
+      // race is fine, just skip
+    }
+  }
+  if (!claims.length) {
+    await status("Nothing to send — all groups claimed.");
+    return {};
+  }
+
+  return deliver(
+    {
+      course,
+      claims,
+      messages,
+      joinUrl,
+      personalized,
+      attachmentIds,
+      targeting: null,
+      excludeUserIds,
+      onlyUserIds,
+      campaign: termKey,
+      resume: false,
+      kind: "group",
+    },
+    status,
+  );
+}
+
+// Sections (and groups) of `course` left "partial" by an earlier run go out
+// again with the subject/body they were claimed with. content.js skips the
+// chunks its checkpoint says were sent.
+async function resumeCourse(course, status) {
+  const termKey = toTermKey(getTermLabel(course));
+  await status("Looking up partial sends…");
+  const query = { canvasDomain: job.host, courseId: course.id, termKey };
+  const [rows, groupRows] = await Promise.all([
+    getCourseSends(query),
+    getCourseGroupSends(query),
+  ]);
+  const claims = rows.filter((r) => r.status === "partial").map((r) => ({
+    sectionId: r.section_id === null ? 0 : Number(r.section_id),
+    claimId: r.id,
+    sectionName: r.section_name || null,
+    previous: r.message_metadata || {},
+  }));
+  const groupClaims = groupRows.filter((r) => r.status === "partial")
+    .map((r) => ({
+      groupId: Number(r.group_id),
+      claimId: r.id,
+      groupName: r.group_name || null,
+      previous: r.message_metadata || {},
+    }));
+  if (!claims.length && !groupClaims.length) {
+    await status("Nothing to resume.");
+    return {};
+  }
+  const out = claims.length
+    ? await resumeClaims(course, claims, "section", termKey, status)
+    : {};
+  if (!groupClaims.length) return out;
+  const groupOut = await resumeClaims(
+    course,
+    groupClaims,
+    "group",
+    termKey,
+    status,
+  );
+  const recipients = [
+    ...(out.recipients || []),
+    ...(groupOut.recipients || []),
+  ];
+  return recipients.length ? { recipients } : {};
+}
+
+function resumeClaims(course, claims, kind, termKey, status) {
+  const { key } = CLAIM_KINDS[kind];
+  const messages = new Map(
+    claims.map((c) => [c[key], {
+      subject: c.previous.subject,
+      body: c.previous.body,
+    }]),
+  );
+  return deliver(
+    {
+      course,
+      claims,
+      messages,
+      joinUrl: claims[0].previous.link_url || null,
+      personalized: claims[0].previous.mode === "personalized",
+      // The original send's dedup plan and review still narrow the roster
+      excludeUserIds: claims[0].previous.dedup?.dropped_user_ids || [],
+      dedupRule: claims[0].previous.dedup?.rule || null,
+      onlyUserIds: claims[0].previous.review?.approved_user_ids || null,
+      attachmentIds: claims[0].previous.attachment_ids || [],
+      // Claims from before targeting existed went to active students;
+      // group members are never targeted
+      targeting: kind === "group"
+        ? null
+        : normalizeTargeting(claims[0].previous.targeting),
+      campaign: termKey,
+      resume: true,
+      kind,
+    },
+    status,
+  );
+}
+
+// Sends the claimed sections (or groups, with kind "group") and settles
+// every claim: sent, partial (some chunks went out: resumable, never
+// released) or released.
+async function deliver(
+  {
+    course,
+    claims,
+    messages,
+    joinUrl,
+    personalized,
+    attachmentIds,
+    targeting,
+    excludeUserIds = [],
+    dedupRule = job.dedup?.rule,
+    onlyUserIds = null,
+    campaign,
+    resume,
+    kind = "section",
+  },
+  status,
+) {
+  const claimKind = CLAIM_KINDS[kind];
+  const keyOf = (c) => c[claimKind.key];
+  // CSRF
+  const csrfResp = await readLatestCsrf();
+  if (!csrfResp.csrf) {
+    throw new Error(
+      "Missing CSRF. Send one message in Canvas Inbox UI to prime, then try again.",
+    );
+  }
+  const csrfToken = csrfResp.csrf;
+
+  await status(
+    resume
+      ? "Resuming from the first unsent chunk…"
+      : personalized
+      ? "Fetching students & sending one by one…"
+      : "Fetching students & sending (chunked)…",
+  );
+
+  const baseMetadata = (c) => ({
+    link_url: joinUrl,
+    subject: messages.get(keyOf(c)).subject,
+    body: messages.get(keyOf(c)).body,
+    ...claimKind.metadata(c),
+    ...(targeting ? { targeting } : {}),
+    ...(attachmentIds.length ? { attachment_ids: attachmentIds } : {}),
+  });
+  const mode = personalized ? "personalized" : "bulk";
+
+  // A restarted worker marks these partial (resumeInterruptedJob): the
+  // content script's checkpoint knows what already went out
+  const entry = job.courses.find((e) => e.course.id === course.id);
+  if (entry) {
+    entry.inFlight = {
+      kind,
+      claims: claims.map((c) => ({
+        id: c.claimId,
+        metadata: {
+          ...c.previous,
+          ...baseMetadata(c),
+          mode,
+          ...narrowedMetadata(null, {
+            dedupRule,
+            droppedUserIds: excludeUserIds,
+            onlyUserIds,
+          }),
+        },
+      })),
+    };
+    await saveJob();
+  }
+
+  const outcomes = await claimKind.request(
+    job.tabId,
+    course.id,
+    claims.map(keyOf),
+    messages,
+    {
+      csrfToken,
+      attachmentIds,
+      mode,
+      paceMs: job.options.paceMs,
+      targeting,
+      excludeUserIds,
+      onlyUserIds,
+      campaign,
+      resumeOnly: resume,
+      // Interrupted claims may not have got as far as a checkpoint
+      interruptedSlots: claims.filter((c) => c.previous?.interrupted)
+        .map(keyOf),
+      audit: {
+        jobId: job.id,
+        courseCode: course.course_code || null,
+        courseName: course.name || null,
+        termKey: toTermKey(getTermLabel(course)),
+        termLabel: getTermLabel(course),
+      },
+    },
+    new Map(claims.map((c) => [keyOf(c), c[claimKind.nameKey]])),
+  );
+
+  // Failed sections: "partial" when students already got some chunks (or
+  // it was a resume), otherwise released so they can be retried later. A
+  // claim the store couldn't update stays "claimed" (neither resumable nor
+  // retried), so that is reported rather than dropped.
+  const failed = claims.filter((c) => !outcomes.get(keyOf(c))?.ok);
+  const partial = [];
+  const unsettled = [];
+  for (const c of failed) {
+    const out = outcomes.get(keyOf(c));
+    try {
+      if (resume || out.partial) {
+        await claimKind.markPartial({
+          id: c.claimId,
+          metadata: {
+            ...c.previous,
+            ...baseMetadata(c),
+            mode,
+            ...narrowedMetadata(out, {
+              dedupRule,
+              droppedUserIds: excludeUserIds,
+              onlyUserIds,
+            }),
+            error: out.error,
+            ...(out.totalChunks != null
+              ? {
+                sent_chunks: out.sentChunks,
+                total_chunks: out.totalChunks,
+                recipients_sent: out.sentRecipients,
+              }
+              : {}),
+          },
+        });
+        partial.push(c);
+      } else {
+        await claimKind.release({ id: c.claimId });
+      }
+    } catch (e) {
+      unsettled.push(
+        `${c[claimKind.nameKey] || keyOf(c)}: ${String(e?.message || e)}`,
+      );
+    }
+  }
+  const unsettledNote = unsettled.length
+    ? ` — couldn't update ${unsettled.length} claim(s) in the claim store, ` +
+      `left "claimed" (${unsettled.join("; ")})`
+    : "";
+
+  // Mark each sent section with its own recipient/chunk counts
+  const sent = claims.filter((c) => outcomes.get(keyOf(c))?.ok);
+  await status(`Marking ${sent.length} ${claimKind.unit} as sent…`);
+  let totalRecipients = 0, totalChunks = 0, totalFailed = 0;
+  const transports = new Set();
+  const recipients = [];
+  for (const c of sent) {
+    const out = outcomes.get(keyOf(c));
+    totalRecipients += out.totalRecipients || 0;
+    totalChunks += out.chunks || 0;
+    totalFailed += out.failed || 0;
+    if (out.transport) transports.add(out.transport);
+    if (out.recipients) recipients.push(...out.recipients);
+    await claimKind.markSent({
+      id: c.claimId,
+      metadata: {
+        ...baseMetadata(c),
+        recipients: out.totalRecipients,
+        chunks: out.chunks,
+        transport: out.transport || null,
+        ...narrowedMetadata(out, {
+          dedupRule,
+          droppedUserIds: out.droppedDuplicates,
+          onlyUserIds,
+        }),
+        ...(out.resumedChunks ? { resumed_chunks: out.resumedChunks } : {}),
+        // Finished before a worker restart; nothing was left to send
+        ...(out.alreadySent ? { already_sent: true } : {}),
+        ...(personalized
+          ? {
+            mode: "personalized",
+            sent: out.sent,
+            failed: out.failed,
+            failed_user_ids: (out.recipients || [])
+              .filter((r) => !r.ok)
+              .map((r) => r.userId),
+          }
+          : {}),
+      },
+    });
+    await sleep(50);
+  }
+  if (entry) {
+    delete entry.inFlight;
+    await saveJob();
+  }
+
+  if (!sent.length) {
+    const reason = failed.length
+      ? outcomes.get(keyOf(failed[0]))?.error || "Send failed"
+      : "Send failed";
+    throw new Error(
+      partial.length
+        ? `${reason} — stopped partway; use Resume${unsettledNote}.`
+        : reason + (unsettledNote && `${unsettledNote}.`),
+    );
+  }
+
+  const released = failed.length - partial.length - unsettled.length;
+  await status(
+    (personalized
+      ? `Done: sent ${totalRecipients - totalFailed} personalized message(s)` +
+        (totalFailed ? `, ${totalFailed} failed` : "")
+      : `Done: sent ${totalRecipients} message(s) across ` +
+        `${totalChunks} chunk(s)`) +
+      (transports.size ? ` via ${Array.from(transports).join("/")}` : "") +
+      droppedNote(sent.map((c) => outcomes.get(keyOf(c)))) +
+      (partial.length
+        ? ` — ${partial.length} ${claimKind.unit} stopped partway; use Resume`
+        : "") +
+      (released
+        ? ` — ${released} ${claimKind.unit} failed, claims released`
+        : "") +
+      unsettledNote +
+      ".",
+  );
+  return personalized ? { recipients } : {};
+}
+
+/* =========================
+   Job loop
+   ========================= */
+async function runJob() {
+  startKeepAlive();
+  try {
+    try {
+      await planJobDedup();
+    } catch (e) {
+      for (const entry of job.courses) {
+        if (entry.status !== "pending") continue;
+        entry.status = "failed";
+        entry.message = String(e?.message || e);
+      }
+      throw e;
+    }
+    for (const entry of job.courses) {
+      if (entry.status !== "pending") continue;
+      if (job.cancelRequested) {
+        entry.status = "cancelled";
+        entry.message = "Cancelled before it started.";
+        continue;
+      }
+      entry.status = "running";
+      await saveJob();
+      try {
+        const out = await sendCourse(entry.course, (text) => {
+          entry.message = text;
+          return saveJob();
+        });
+        entry.status = "done";
+        if (out.report) entry.report = out.report;
+        if (out.recipients) entry.recipients = out.recipients;
+      } catch (e) {
+        entry.status = "failed";
+        entry.message = String(e?.message || e);
+      }
+      await saveJob();
+      await sleep(300); // tiny spacing
+    }
+    job.status = job.cancelRequested ? "cancelled" : "done";
+  } catch (e) {
+    job.status = "failed";
+    job.error = String(e?.message || e);
+  } finally {
+    job.finishedAt = Date.now();
+    stopKeepAlive();
+    await saveJob();
+  }
+}
+
+export async function getJob() {
+  if (job) return job;
+  const data = await chrome.storage.local.get([JOB_KEY]);
+  return data[JOB_KEY] || null;
+}
+
+// spec: { tabId, host, courses, draft: { subject, body, attachment? },
+//         options: { dryRun, mode, paceMs, resume, targeting, groups?,
+//                    dedupe?, approved? } }
+export async function startJob(spec) {
+  const current = await getJob();
+  if (current?.status === "running") {
+    throw new Error("A send is already running.");
+  }
+  assertAttachmentHost(spec.draft, spec.host);
+  job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    tabId: spec.tabId,
+    host: spec.host,
+    draft: spec.draft,
+    options: spec.options || {},
+    courses: spec.courses.map((course) => ({
+      course,
+      status: "pending",
+      message: "Queued…",
+    })),
+    progress: {},
+    cancelRequested: false,
+    createdAt: Date.now(),
+  };
+  await saveJob();
+  runJob();
+  return job;
+}
+
+// Takes effect between courses; a course already handed to the content
+// script finishes first.
+export async function cancelJob() {
+  if (job?.status !== "running") return job;
+  job.cancelRequested = true;
+  await saveJob();
+  return job;
+}
+
+// SEND_PLAN / SEND_CHUNK_DONE from the executor tab. Returns true if handled.
+export function handleProgressMessage(msg, sender) {
+  if (msg?.type !== "SEND_PLAN" && msg?.type !== "SEND_CHUNK_DONE") {
+    return false;
+  }
+  if (job?.status !== "running" || sender?.tab?.id !== job.tabId) return false;
+  const slot = msg.groupId ? `g${msg.groupId}` : msg.sectionId || 0;
+  const key = `${msg.courseId}:${slot}`;
+  const pc = job.progress[key] ||= { totalChunks: 0, sentChunks: 0 };
+  if (!pc.totalChunks) pc.totalChunks = msg.totalChunks || 0;
+  if (msg.type === "SEND_CHUNK_DONE") {
+    pc.sentChunks = Math.max(pc.sentChunks, msg.chunk || 0);
+  }
+  saveJob();
+  return true;
+}
+
+// A worker that starts with a "running" job in storage was restarted mid-run.
+// The course that was in flight can't be trusted either way: its claims stay
+// held (so nobody double-sends) and the rest of the queue carries on.
+// The claims of a course cut off mid-send become "partial" with the
+// metadata deliver() writes, so Resume finishes them from the checkpoint.
+// Returns the rest of the course's status line.
+async function settleInterrupted(entry) {
+  const flight = entry.inFlight;
+  delete entry.inFlight;
+  if (!flight?.claims.length) return "";
+  const claimKind = CLAIM_KINDS[flight.kind];
+  const errors = [];
+  for (const c of flight.claims) {
+    try {
+      await claimKind.markPartial({
+        id: c.id,
+        metadata: {
+          ...c.metadata,
+          interrupted: true,
+          error: "Interrupted when the extension restarted.",
+        },
+      });
+    } catch (e) {
+      errors.push(String(e?.message || e));
+    }
+  }
+  const marked = flight.claims.length - errors.length;
+  return (marked
+    ? ` ${marked} ${claimKind.unit} marked partial; use Resume to finish.`
+    : "") +
+    (errors.length
+      ? ` Couldn't update ${errors.length} claim(s) in the claim store, ` +
+        `left "claimed" (${errors.join("; ")}).`
+      : "");
+}
+
+export async function resumeInterruptedJob() {
+  const data = await chrome.storage.local.get([JOB_KEY]);
+  const saved = data[JOB_KEY];
+  if (job || saved?.status !== "running") return;
+  job = saved;
+  for (const entry of job.courses) {
+    if (entry.status !== "running") continue;
+    entry.status = "interrupted";
+    entry.message = "Interrupted when the extension restarted." +
+      await settleInterrupted(entry);
+  }
+  const tabAlive = await chrome.tabs.get(job.tabId).then(() => true)
+    .catch(() => false);
+  if (!tabAlive) {
+    for (const entry of job.courses) {
+      if (entry.status !== "pending") continue;
+      entry.status = "failed";
+      entry.message = "The Canvas tab running the send was closed.";
+    }
+    job.status = "failed";
+    job.finishedAt = Date.now();
+    await saveJob();
+    return;
+  }
+  await saveJob();
+  runJob();
+}
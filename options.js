@@ -0,0 +1,292 @@
+// options.js (module)
+import { getClaimStoreSettings, saveClaimStoreSettings } from "./db.js";
+import "./domains.js";
+import { downloadFile } from "./export.js";
+import {
+  createTemplate,
+  exportTemplatesJson,
+  importTemplatesJson,
+  loadTemplates,
+  resetTemplates,
+  saveTemplates,
+} from "./templates.js";
+
+const Domains = globalThis.CourseLynxDomains;
+
+/* =========================
+   Canvas domains
+   ========================= */
+const domainInputEl = document.getElementById("domainInput");
+const domainListEl = document.getElementById("domainList");
+const domainStatusEl = document.getElementById("domainStatus");
+// Every registered host, as last rendered: addDomain checks it without a
+// storage read so the permission request keeps the click's user gesture
+let knownDomains = [...Domains.BUILTIN_CANVAS_HOSTS];
+
+async function renderDomains() {
+  const custom = await Domains.getCustomDomains();
+  knownDomains = [...Domains.BUILTIN_CANVAS_HOSTS, ...custom];
+  const rows = [
+    ...Domains.BUILTIN_CANVAS_HOSTS.map((h) => ({ host: h, builtin: true })),
+    ...custom.map((h) => ({ host: h, builtin: false })),
+  ];
+  domainListEl.innerHTML = "";
+  for (const { host, builtin } of rows) {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = host;
+    li.appendChild(name);
+    if (builtin) {
+      const tag = document.createElement("span");
+      tag.className = "small";
+      tag.textContent = "built-in";
+      li.appendChild(tag);
+    } else {
+      const btn = document.createElement("button");
+      btn.className = "link-btn";
+      btn.textContent = "Remove";
+      btn.addEventListener("click", () => removeDomain(host));
+      li.appendChild(btn);
+    }
+    domainListEl.appendChild(li);
+  }
+}
+
+// permissions.request must run straight from the click (user gesture), so
+// nothing is awaited before it
+async function addDomain() {
+  const host = Domains.normalizeHost(domainInputEl.value);
+  if (!host) {
+    domainStatusEl.innerHTML =
+      `<span class="error">That doesn’t look like a domain.</span>`;
+    return;
+  }
+  if (knownDomains.includes(host)) {
+    domainStatusEl.textContent = `${host} is already registered.`;
+    return;
+  }
+  const granted = await chrome.permissions.request({
+    origins: Domains.matchPatternsFor([host]),
+  });
+  if (!granted) {
+    domainStatusEl.innerHTML =
+      `<span class="error">Permission for ${host} was not granted.</span>`;
+    return;
+  }
+  const custom = await Domains.getCustomDomains();
+  if (!custom.includes(host)) {
+    await Domains.setCustomDomains([...custom, host]);
+  }
+  domainInputEl.value = "";
+  domainStatusEl.textContent =
+    `Added ${host}. Open tabs on it are ready; new ones load the extension automatically.`;
+  await renderDomains();
+}
+
+async function removeDomain(host) {
+  const custom = await Domains.getCustomDomains();
+  await Domains.setCustomDomains(custom.filter((h) => h !== host));
+  await chrome.permissions.remove({
+    origins: Domains.matchPatternsFor([host]),
+  }).catch(() => {});
+  domainStatusEl.textContent = `Removed ${host}.`;
+  await renderDomains();
+}
+
+document.getElementById("addDomain")?.addEventListener("click", addDomain);
+domainInputEl?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") addDomain();
+});
+document.addEventListener("DOMContentLoaded", renderDomains);
+
+/* =========================
+   Message templates
+   ========================= */
+const templateListEl = document.getElementById("templateList");
+const templateStatusEl = document.getElementById("templateStatus");
+let templates = [];
+
+function templateField(tag, cls, value, placeholder) {
+  const el = document.createElement(tag);
+  el.className = `input ${cls}`;
+  el.value = value;
+  el.placeholder = placeholder;
+  return el;
+}
+
+function actionButton(label, onClick, disabled = false) {
+  const btn = document.createElement("button");
+  btn.className = "link-btn";
+  btn.textContent = label;
+  btn.disabled = disabled;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+async function persistTemplates(note) {
+  templates = await saveTemplates(templates);
+  templateStatusEl.textContent = note || "Saved.";
+}
+
+function renderTemplates() {
+  templateListEl.innerHTML = "";
+  templates.forEach((t, i) => {
+    const li = document.createElement("li");
+    li.className = "template-card";
+
+    const name = templateField("input", "tpl-name", t.name, "Name");
+    const tags = templateField(
+      "input",
+      "tpl-tags",
+      t.tags.join(", "),
+      "Tags (comma separated)",
+    );
+    const subject = templateField("input", "tpl-subject", t.subject, "Subject");
+    const body = templateField("textarea", "tpl-body", t.body, "Body");
+
+    // Edits save on blur so typing doesn't re-render the list
+    const commit = () => {
+      templates[i] = {
+        ...t,
+        name: name.value,
+        tags: tags.value.split(","),
+        subject: subject.value,
+        body: body.value,
+      };
+      persistTemplates();
+    };
+    [name, tags, subject, body].forEach((el) =>
+      el.addEventListener("change", commit)
+    );
+
+    const move = (delta) => async () => {
+      const [item] = templates.splice(i, 1);
+      templates.splice(i + delta, 0, item);
+      await persistTemplates("Order saved.");
+      renderTemplates();
+    };
+    const actions = document.createElement("div");
+    actions.className = "template-actions";
+    actions.append(
+      actionButton("↑", move(-1), i === 0),
+      actionButton("↓", move(1), i === templates.length - 1),
+      actionButton("Delete", async () => {
+        templates.splice(i, 1);
+        await persistTemplates("Deleted.");
+        renderTemplates();
+      }),
+    );
+
+    li.append(name, tags, subject, body, actions);
+    templateListEl.appendChild(li);
+  });
+}
+
+document.getElementById("addTemplate")?.addEventListener("click", async () => {
+  templates.push(createTemplate({ name: "New template" }));
+  await persistTemplates("Added.");
+  renderTemplates();
+  templateListEl.lastElementChild?.querySelector(".tpl-body")?.focus();
+});
+
+document.getElementById("exportTemplates")?.addEventListener("click", () => {
+  downloadFile(
+    "courselynx-templates.json",
+    exportTemplatesJson(templates),
+    "application/json",
+  );
+});
+
+document.getElementById("importTemplates")?.addEventListener(
+  "change",
+  async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const mode = document.getElementById("importReplace")?.checked
+        ? "replace"
+        : "merge";
+      templates = await importTemplatesJson(await file.text(), { mode });
+      templateStatusEl.textContent =
+        `Imported — library now has ${templates.length} template(s).`;
+      renderTemplates();
+    } catch (err) {
+      templateStatusEl.innerHTML = `<span class="error">${
+        String(err.message || err)
+      }</span>`;
+    }
+  },
+);
+
+document.getElementById("resetTemplates")?.addEventListener(
+  "click",
+  async () => {
+    if (!confirm("Replace your template library with the default pack?")) {
+      return;
+    }
+    templates = await resetTemplates();
+    templateStatusEl.textContent = "Restored the default pack.";
+    renderTemplates();
+  },
+);
+
+document.addEventListener("DOMContentLoaded", async () => {
+  templates = await loadTemplates();
+  renderTemplates();
+});
+
+/* =========================
+   Claim store backend
+   ========================= */
+const supabaseFieldsEl = document.getElementById("supabaseFields");
+const supabaseUrlEl = document.getElementById("supabaseUrl");
+const supabaseAnonKeyEl = document.getElementById("supabaseAnonKey");
+const claimStoreStatusEl = document.getElementById("claimStoreStatus");
+
+function selectedBackend() {
+  return document.querySelector("input[name=claimBackend]:checked")?.value ||
+    "supabase";
+}
+
+function syncBackendFields() {
+  supabaseFieldsEl.style.display = selectedBackend() === "supabase"
+    ? "block"
+    : "none";
+}
+
+async function loadClaimStoreSettings() {
+  const s = await getClaimStoreSettings();
+  const radio = document.querySelector(
+    `input[name=claimBackend][value=${s.backend}]`,
+  );
+  if (radio) radio.checked = true;
+  supabaseUrlEl.value = s.supabaseUrl;
+  supabaseAnonKeyEl.value = s.supabaseAnonKey;
+  syncBackendFields();
+}
+
+document.querySelectorAll("input[name=claimBackend]").forEach((r) => {
+  r.addEventListener("change", syncBackendFields);
+});
+
+document.getElementById("saveClaimStore")?.addEventListener(
+  "click",
+  async () => {
+    const backend = selectedBackend();
+    const supabaseUrl = supabaseUrlEl.value.trim().replace(/\/+$/, "");
+    const supabaseAnonKey = supabaseAnonKeyEl.value.trim();
+    if (backend === "supabase" && (!/^https:\/\//.test(supabaseUrl) ||
+      !supabaseAnonKey)) {
+      claimStoreStatusEl.innerHTML =
+        `<span class="error">Supabase needs an https:// URL and an anon key.</span>`;
+      return;
+    }
+    await saveClaimStoreSettings({ backend, supabaseUrl, supabaseAnonKey });
+    claimStoreStatusEl.textContent = `Saved — using the ${
+      backend === "local" ? "local" : "Supabase"
+    } claim store.`;
+  },
+);
+
+document.addEventListener("DOMContentLoaded", loadClaimStoreSettings);
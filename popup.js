@@ -1,25 +1,48 @@
 // popup.js (module)
-import { claimCourse, getCourseSends, markSent, releaseClaim } from "./db.js";
-
-/* =========================
-   Message templates (14)
-   ========================= */
-const TEMPLATES = [
-  "Hey, I’m sharing the group chat link to the whole class—here it is:",
-  "Hi all, Here’s the group chat for our class:",
-  "Hey everyone, Just sharing the group chat link. Join here:",
-  "Hi guys, This is the group chat link for our class:",
-  "Hey all, Here’s the link to our class group chat:",
-  "Hey, Just passing along the group chat link to the class:",
-  "Hey everyone, Here’s the group chat for our class:",
-  "Hey everyone, This is the link to the class group chat:",
-  "Hi all, Sharing the group chat link for our class:",
-  "Hey, Here’s the chat link for our class:",
-  "Hey, I’m sharing the group chat link with everyone:",
-  "Hi everyone, Here’s the chat link for the class:",
-  "Hey all, This is the class group chat link:",
-  "Hi guys, I found the class chat, here is the link:",
-];
+import { auditRows, loadAudit } from "./audit.js";
+import {
+  addSuppression,
+  getCourseGroupSends,
+  getCourseSends,
+  getSuppressions,
+  removeSuppression,
+} from "./db.js";
+import { downloadRows } from "./export.js";
+import "./domains.js";
+import {
+  assertAttachmentHost,
+  DEFAULT_SUBJECT,
+  PLACEHOLDERS,
+  RECIPIENT_PLACEHOLDERS,
+  renderCourseMessages,
+  usesPlaceholder,
+} from "./compose.js";
+import {
+  cleanLinkPart,
+  getJoinLinkSettings,
+  getTermLabel,
+  joinLinkParts,
+  saveJoinLinkSettings,
+  SCHOOL_OVERRIDES,
+  setCourseLinkOverride,
+  SUBJECT_MAP,
+  toTermKey,
+} from "./courses.js";
+import { DEDUP_RULES, normalizeDedupRule, planDedup } from "./dedupe.js";
+import {
+  courseReplySummary,
+  latestReplies,
+  loadReplyTracker,
+} from "./replies.js";
+import {
+  describeTargeting,
+  ENROLLMENT_STATES,
+  ENROLLMENT_TYPES,
+  normalizeTargeting,
+} from "./targeting.js";
+import { loadTemplates } from "./templates.js";
+
+const { isCanvasUrl } = globalThis.CourseLynxDomains;
 
 /* =========================
    State & DOM refs
@@ -27,6 +50,9 @@ const TEMPLATES = [
 const selectedCourseIds = new Set();
 const lastCourses = []; // cache in popup to attach buttons
 const availabilityByCourseId = new Map();
+// Groups picked on a course card: courseId -> Map(groupId -> name). A course
+// with picked groups sends to them instead of its sections.
+const selectedGroupsByCourseId = new Map();
 
 const coursesSection = document.getElementById("coursesSection");
 
@@ -34,11 +60,15 @@ const progressWrap = document.getElementById("progressWrap");
 const progressBar = document.getElementById("progressBar");
 const progressLabel = document.getElementById("progressLabel");
 const sendSelectedBtn = document.getElementById("sendSelectedBtn");
-const doNotCloseEl = document.getElementById("doNotClose");
+const sendingNoteEl = document.getElementById("sendingNote");
+const cancelJobBtn = document.getElementById("cancelJobBtn");
+const jobStatusEl = document.getElementById("jobStatus");
 
 const templateSelectEl = document.getElementById("templateSelect"); // optional
 const randomizeBtn = document.getElementById("randomizeBtn"); // optional
-const previewBodyEl = document.getElementById("previewBody"); // single-line input
+const composeSubjectEl = document.getElementById("composeSubject");
+const composeBodyEl = document.getElementById("composeBody");
+const previewListEl = document.getElementById("previewList");
 
 /* =========================
    Small utilities
@@ -50,38 +80,18 @@ function setProgress(current, total) {
 }
 function showProgress(show) {
   progressWrap.style.display = show ? "block" : "none";
-  doNotCloseEl.style.display = show ? "block" : "none";
+  sendingNoteEl.style.display = show ? "block" : "none";
   if (!show) setProgress(0, 0);
 }
 
-const SCHOOL_OVERRIDES = new Map([
-  // explicit overrides you mentioned:
-  ["usflearn", "usf"],
-  ["bruinlearn", "ucla"], // bruinlearn.ucla.edu -> ucla
-]);
-
-function extractSchool(host) {
-  if (!host) return "";
-
-  // 1) *.instructure.com => take first label (with overrides)
-  if (host.endsWith(".instructure.com")) {
-    const first = host.split(".")[0];
-    return SCHOOL_OVERRIDES.get(first) || first;
-  }
-
-  // 2) canvas/learn/webcourses/bruinlearn.school.tld => take 2nd label
-  //    e.g., canvas.wisc.edu -> wisc, webcourses.ucf.edu -> ucf
-  const m = host.match(/^(canvas|learn|webcourses|bruinlearn)\.([^.]+)/i);
-  if (m) {
-    const lbl = m[2].toLowerCase();
-    // If the branded subdomain itself maps to an override, respect it.
-    const branded = m[1].toLowerCase();
-    const overrideKey = SCHOOL_OVERRIDES.get(branded);
-    return overrideKey || lbl;
-  }
-
-  // 3) Otherwise: use first label as a fallback
-  return host.split(".")[0].toLowerCase();
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[ch]);
 }
 
 function fmtTime(ts) {
@@ -89,119 +99,6 @@ function fmtTime(ts) {
   const d = new Date(ts);
   return d.toLocaleTimeString();
 }
-function toTermKey(label) {
-  return (label || "")
-    .trim().toLowerCase()
-    .replace(/spring\s*'?([0-9]{2})\b/g, "spring 20$1")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
-}
-function getTermLabel(c) {
-  return c?.enrollment_term?.name || c?.term?.name || "";
-}
-
-// check if on canvas
-function isCanvasUrl(u) {
-  try {
-    const { host, protocol } = new URL(u);
-    if (protocol !== "https:") return false;
-    // 1) Standard Canvas cloud
-    if (host.endsWith(".instructure.com")) return true;
-    // 2) Common school-hosted Canvas domains
-    //    canvas.wisc.edu, webcourses.ucf.edu, bruinlearn.ucla.edu, etc.
-    if (/^(canvas|learn|webcourses|bruinlearn)\./i.test(host)) return true;
-    // 3) Add other branded prefixes you encounter later (e.g., "lms.", "elearning.")
-    // if (/^(lms|elearning)\./i.test(host)) return true;
-    return false;
-  } catch {
-    return false;
-  }
-}
-
-/* =========================
-   Get the right course code
-   ========================= */
-// ---- Term tokens to strip from course_code/name before parsing subject+number ----
-const TERM_TOKENS_RE = new RegExp(
-  [
-    // Compact codes like 2025FA, 2025SP, FA2025, SP2025, AU2025 (FSU uses AU=Autumn/Fall)
-    String.raw`\b(20\d{2})(?:\s*[-_ ]?)?(FA|SP|SU|SM|WI|AU)\b`,
-    String.raw`\b(FA|SP|SU|SM|WI|AU)(?:\s*[-_ ]?)?(20\d{2})\b`,
-    // Wordy forms like "Fall 2025", "2025 Fall", "2025 Fall 1", "Fall 2025 Main"
-    String.raw`\b(20\d{2})\s*(fall|autumn|spring|summer|winter)\b`,
-    String.raw`\b(fall|autumn|spring|summer|winter)\s*(20\d{2})\b`,
-    // Standalone season words with optional session marker
-    String.raw`\b(fall|autumn|spring|summer|winter)\s*\d?\b`,
-    // Extra: AU 2025 (explicit space form)
-    String.raw`\bau\s*20\d{2}\b`,
-  ].join("|"),
-  "gi",
-);
-
-// Remove parenthetical chunks like "(12345)" or "(Lecture)"
-const PARENS_RE = /\([^)]*\)/g;
-
-// Map some long subject words to their short code (tweak as you learn schools)
-const SUBJECT_MAP = {
-  BIOLOGY: "biol",
-  CHEMISTRY: "chem",
-  PHYSICS: "phys",
-  PHILOSOPHY: "phil",
-  // OSU-style multiword subjects (ARTSSCI, BUSFIN, BIOCHEM) should pass through.
-};
-
-// Try to extract SUBJECT + 3–4 digit number and return "subject_1234"
-function parseSubjectNumberSlug(raw) {
-  if (!raw) return null;
-  let s = String(raw).toUpperCase();
-
-  // Drop parentheses and term tokens like "AU2025", "Fall 2025", "2025 Fall 1"
-  s = s.replace(PARENS_RE, " ");
-  s = s.replace(TERM_TOKENS_RE, " ");
-  s = s.replace(/\s+/g, " ").trim();
-
-  // Pattern: SUBJECT 1234(.section)? or SUBJECT1234
-  // e.g., "ARTSSCI 1100.14", "BUSFIN 3220", "BIOCHEM4511", "BIOLOGY 1114.01"
-  let m = s.match(/\b([A-Z&]{2,})\s*([0-9]{3,4})(?:[.\-][0-9A-Z]{1,3})?\b/);
-  if (!m) {
-    // fallback where subject & number are stuck but followed by junk
-    m = s.match(/\b([A-Z&]{2,}?)([0-9]{3,4})\b/);
-  }
-  if (!m) return null;
-
-  let subj = m[1];
-  const num = m[2];
-
-  // Normalize subject token -> lowercase, '&' -> 'and'
-  let subjNorm = subj.toLowerCase().replace(/&/g, "and");
-  if (SUBJECT_MAP[subj]) subjNorm = SUBJECT_MAP[subj];
-
-  return `${subjNorm}_${num}`;
-}
-
-// Fallback slug if we can’t parse a clean subject+number
-function fallbackSlug(raw) {
-  return (raw || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "_")
-    .replace(/[^a-z0-9_]/g, "")
-    .replace(/([a-z])([0-9])/g, "$1_$2"); // add underscore between letter+digit
-}
-
-// Given a course object, produce the best join-link slug
-function courseSlugFromCourse(course) {
-  // Try course_code first (usually best), then name
-  const try1 = parseSubjectNumberSlug(course?.course_code);
-  if (try1) return try1;
-
-  const try2 = parseSubjectNumberSlug(course?.name);
-  if (try2) return try2;
-
-  // Fallback to normalized course_code or name
-  return fallbackSlug(course?.course_code || course?.name || "");
-}
-
 /* =========================
    CSRF panel (unchanged)
    ========================= */
@@ -238,92 +135,545 @@ document.getElementById("clearCsrf")?.addEventListener("click", async () => {
 });
 document.addEventListener("DOMContentLoaded", refreshCsrfStatus);
 
+document.getElementById("openOptions")?.addEventListener(
+  "click",
+  () => chrome.runtime.openOptionsPage(),
+);
+document.getElementById("manageTemplates")?.addEventListener(
+  "click",
+  () => chrome.runtime.openOptionsPage(),
+);
+
+/* =========================
+   Send transport (per Canvas host)
+   ========================= */
+const transportSelectEl = document.getElementById("transportSelect");
+const transportHintEl = document.getElementById("transportHint");
+
+async function loadTransportSetting() {
+  if (!transportSelectEl) return;
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !(await isCanvasUrl(tab.url || ""))) {
+    transportSelectEl.disabled = true;
+    return;
+  }
+  const host = new URL(tab.url).host;
+  const resp = await chrome.runtime.sendMessage({
+    type: "GET_SEND_TRANSPORT",
+    host,
+  });
+  transportSelectEl.value = resp?.mode || "auto";
+  if (transportHintEl) {
+    transportHintEl.textContent = resp?.graphqlSeenAt
+      ? `(GraphQL seen ${fmtTime(resp.graphqlSeenAt)})`
+      : "(no GraphQL traffic seen)";
+  }
+  transportSelectEl.onchange = () =>
+    chrome.runtime.sendMessage({
+      type: "SET_SEND_TRANSPORT",
+      host,
+      mode: transportSelectEl.value,
+    });
+}
+document.addEventListener("DOMContentLoaded", loadTransportSetting);
+
+/* =========================
+   Send mode: bulk (chunked) or one personalized message per recipient
+   ========================= */
+// --- Send mode schema in storage.local ---
+// {
+//   sendMode: {
+//     personalized: boolean, paceSeconds: number,
+//     targeting: { types: ["student"], states: ["active"] }  (targeting.js),
+//     dedupe: "first" | "smallest" | null  (dedupe.js)
+//   } | undefined
+// }
+const personalizeToggleEl = document.getElementById("personalizeToggle");
+const paceSecondsEl = document.getElementById("paceSeconds");
+const paceRowEl = document.getElementById("paceRow");
+const targetTypesEl = document.getElementById("targetTypes");
+const targetStatesEl = document.getElementById("targetStates");
+const dedupeRuleEl = document.getElementById("dedupeRule");
+
+function isPersonalized() {
+  return !!personalizeToggleEl?.checked;
+}
+
+// Enrollment types/states ticked under the send button
+function currentTargeting() {
+  const checked = (el) =>
+    Array.from(el?.querySelectorAll("input:checked") || []).map((i) =>
+      i.value
+    );
+  return normalizeTargeting({
+    types: checked(targetTypesEl),
+    states: checked(targetStatesEl),
+  });
+}
+
+function renderTargeting(targeting) {
+  const boxes = (list, chosen) =>
+    list.map((x) =>
+      `<label><input type="checkbox" value="${x.key}"${
+        chosen.includes(x.key) ? " checked" : ""
+      } /> ${escapeHtml(x.label)}</label>`
+    ).join(" ");
+  const { types, states } = normalizeTargeting(targeting);
+  if (targetTypesEl) targetTypesEl.innerHTML = boxes(ENROLLMENT_TYPES, types);
+  if (targetStatesEl) {
+    targetStatesEl.innerHTML = boxes(ENROLLMENT_STATES, states);
+  }
+}
+
+function currentDedupRule() {
+  return normalizeDedupRule(dedupeRuleEl?.value);
+}
+
+// Payload fields for SEND_LINK_TO_COURSE / SEND_LINK_TO_SECTIONS, plus the
+// batch's dedup rule
+function sendModePayload() {
+  const targeting = currentTargeting();
+  const rule = currentDedupRule();
+  const dedupe = rule ? { dedupe: rule } : {};
+  if (!isPersonalized()) return { mode: "bulk", targeting, ...dedupe };
+  const secs = Number(paceSecondsEl?.value);
+  const pace = Number.isFinite(secs) && secs >= 0.5 ? Math.min(secs, 30) : 1.5;
+  return {
+    mode: "personalized",
+    paceMs: Math.round(pace * 1000),
+    targeting,
+    ...dedupe,
+  };
+}
+
+function saveSendMode() {
+  chrome.storage.local.set({
+    sendMode: {
+      personalized: isPersonalized(),
+      paceSeconds: Number(paceSecondsEl?.value) || 1.5,
+      targeting: currentTargeting(),
+      dedupe: currentDedupRule(),
+    },
+  });
+}
+
+async function loadSendMode() {
+  if (!personalizeToggleEl) return;
+  const { sendMode } = await chrome.storage.local.get(["sendMode"]);
+  personalizeToggleEl.checked = !!sendMode?.personalized;
+  if (paceSecondsEl && sendMode?.paceSeconds) {
+    paceSecondsEl.value = String(sendMode.paceSeconds);
+  }
+  renderTargeting(sendMode?.targeting);
+  if (dedupeRuleEl) {
+    dedupeRuleEl.innerHTML += DEDUP_RULES.map((r) =>
+      `<option value="${r.key}">get one, from the ${
+        escapeHtml(r.label)
+      }</option>`
+    ).join("");
+    dedupeRuleEl.value = normalizeDedupRule(sendMode?.dedupe) || "";
+    dedupeRuleEl.addEventListener("change", () => {
+      saveSendMode();
+      updatePreview();
+    });
+  }
+  [targetTypesEl, targetStatesEl].forEach((el) =>
+    el?.addEventListener("change", () => {
+      // Unticking everything means the default again; show it
+      renderTargeting(currentTargeting());
+      saveSendMode();
+      updatePreview();
+    })
+  );
+  const sync = () => {
+    if (!paceRowEl) return;
+    paceRowEl.style.display = isPersonalized() ? "block" : "none";
+  };
+  sync();
+  personalizeToggleEl.addEventListener("change", () => {
+    sync();
+    saveSendMode();
+    updatePreview();
+  });
+  paceSecondsEl?.addEventListener("change", saveSendMode);
+}
+document.addEventListener("DOMContentLoaded", loadSendMode);
+
 /* =========================
-   Templates: preview + randomize
+   Composer: subject/body with placeholders + per-course preview
    ========================= */
+// Template library (templates.js); Random and the dropdown draw from it
+let templateLibrary = [];
 let currentTemplateIdx = 0;
 
-// If you still keep the dropdown, populate it and sync with currentTemplateIdx
-document.addEventListener("DOMContentLoaded", () => {
-  if (templateSelectEl && !templateSelectEl.options.length) {
-    TEMPLATES.forEach((t, i) => {
-      const opt = document.createElement("option");
-      opt.value = String(i);
-      opt.textContent = t;
-      templateSelectEl.appendChild(opt);
+async function loadTemplateLibrary() {
+  templateLibrary = await loadTemplates();
+  if (!templateSelectEl) return;
+  templateSelectEl.innerHTML = `<option value="">Template…</option>` +
+    templateLibrary.map((t, i) =>
+      `<option value="${i}">${escapeHtml(t.name)}${
+        t.tags.length ? ` [${escapeHtml(t.tags.join(", "))}]` : ""
+      }</option>`
+    ).join("");
+}
+
+// The draft (with placeholders) survives popup close via storage.local
+// composerDraft: { subject, body, attachment?: { id, name, size, host } }
+let composerAttachment = null; // see "Attachment" below
+
+function getDraft() {
+  const fallback = templateLibrary[0];
+  return {
+    subject: composeSubjectEl?.value ?? DEFAULT_SUBJECT,
+    body: composeBodyEl?.value || fallback?.body || "{join_link}",
+    ...(composerAttachment ? { attachment: composerAttachment } : {}),
+  };
+}
+
+// Applying a template replaces both subject and body
+function applyTemplate(idx) {
+  const t = templateLibrary[idx];
+  if (!t) return;
+  currentTemplateIdx = idx;
+  if (composeSubjectEl) composeSubjectEl.value = t.subject;
+  if (composeBodyEl) composeBodyEl.value = t.body;
+  if (templateSelectEl) templateSelectEl.value = String(idx);
+  saveDraftSoon();
+  updatePreview();
+}
+
+let _draftSaveTimer = null;
+function saveDraftSoon() {
+  clearTimeout(_draftSaveTimer);
+  _draftSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({ composerDraft: getDraft() });
+  }, 300);
+}
+
+async function loadDraft() {
+  const { composerDraft } = await chrome.storage.local.get(["composerDraft"]);
+  if (composeSubjectEl) {
+    composeSubjectEl.value = composerDraft?.subject ?? DEFAULT_SUBJECT;
+  }
+  if (composeBodyEl) {
+    composeBodyEl.value = composerDraft?.body || getDraft().body;
+  }
+  composerAttachment = composerDraft?.attachment || null;
+  renderAttachment();
+  updatePreview();
+}
+document.addEventListener("DOMContentLoaded", async () => {
+  await loadTemplateLibrary();
+  await loadDraft();
+});
+
+/* =========================
+   Attachment: uploaded once to the sender's Canvas files (content.js), then
+   every chunk of every course in a send carries its id
+   ========================= */
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+const attachFileEl = document.getElementById("attachFile");
+const attachStatusEl = document.getElementById("attachStatus");
+let uploadingAttachment = false;
+
+function fmtBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderAttachment() {
+  if (!attachStatusEl) return;
+  if (!composerAttachment) {
+    attachStatusEl.textContent = "";
+    return;
+  }
+  attachStatusEl.innerHTML = `📎 ${escapeHtml(composerAttachment.name)} (${
+    fmtBytes(composerAttachment.size || 0)
+  }, on ${escapeHtml(composerAttachment.host)})
+    <button id="attachRemove" class="link-btn">Remove</button>`;
+  document.getElementById("attachRemove").addEventListener("click", () => {
+    composerAttachment = null;
+    renderAttachment();
+    saveDraftSoon();
+  });
+}
+
+function showAttachError(e) {
+  attachStatusEl.innerHTML = `<span class="error">${
+    escapeHtml(String(e?.message || e))
+  }</span>`;
+}
+
+// FileReader gives a data: URL; content.js wants the bare base64
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+attachFileEl?.addEventListener("change", async () => {
+  const file = attachFileEl.files?.[0];
+  if (!file) return;
+  attachFileEl.value = "";
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    showAttachError(
+      `${file.name} is ${fmtBytes(file.size)}; attachments can be up to ` +
+        `${fmtBytes(MAX_ATTACHMENT_BYTES)}.`,
+    );
+    return;
+  }
+  attachFileEl.disabled = true;
+  uploadingAttachment = true;
+  attachStatusEl.textContent = `Uploading ${file.name}…`;
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (!tab || !(await isCanvasUrl(tab.url || ""))) {
+      throw new Error("Open this on a Canvas page to upload.");
+    }
+    const csrfResp = await chrome.runtime.sendMessage({
+      type: "GET_LATEST_CSRF",
+    });
+    if (!csrfResp?.csrf) {
+      throw new Error(
+        "Missing CSRF. Send one message in Canvas Inbox UI to prime, then try again.",
+      );
+    }
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "UPLOAD_ATTACHMENT",
+      name: file.name,
+      contentType: file.type || "application/octet-stream",
+      base64: await readAsBase64(file),
+      csrfToken: csrfResp.csrf,
     });
-    templateSelectEl.selectedIndex = 0;
+    if (!resp?.ok) throw new Error(resp?.error || "Upload failed");
+    composerAttachment = {
+      id: resp.file.id,
+      name: resp.file.display_name || file.name,
+      size: resp.file.size ?? file.size,
+      host: new URL(tab.url).host,
+    };
+    renderAttachment();
+    saveDraftSoon();
+  } catch (e) {
+    showAttachError(e);
+  } finally {
+    uploadingAttachment = false;
+    attachFileEl.disabled = false;
   }
 });
 
-// Use the first selected course to build the link preview
-function getFirstSelectedCourse() {
-  const firstId = Array.from(selectedCourseIds)[0];
-  return lastCourses.find((c) => c.id === firstId);
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type !== "UPLOAD_PROGRESS" || !uploadingAttachment) return;
+  const pct = msg.total ? Math.round((msg.loaded / msg.total) * 100) : 0;
+  attachStatusEl.textContent = `Uploading… ${pct}% ` +
+    `(${fmtBytes(msg.loaded)} of ${fmtBytes(msg.total)})`;
+});
+
+
+
+function placeholderChips() {
+  const el = document.getElementById("placeholderChips");
+  if (!el) return;
+  el.innerHTML = [...PLACEHOLDERS, ...RECIPIENT_PLACEHOLDERS].map((p) =>
+    `<button type="button" class="chip" data-ph="${p}">{${p}}</button>`
+  ).join("");
+  el.querySelectorAll(".chip").forEach((chip) => {
+    chip.addEventListener("click", () => {
+      const target = document.activeElement === composeSubjectEl
+        ? composeSubjectEl
+        : composeBodyEl;
+      if (!target) return;
+      const token = `{${chip.dataset.ph}}`;
+      const { selectionStart: a, selectionEnd: b, value } = target;
+      target.value = value.slice(0, a ?? value.length) + token +
+        value.slice(b ?? value.length);
+      target.focus();
+      target.selectionStart = target.selectionEnd = (a ?? value.length) +
+        token.length;
+      saveDraftSoon();
+      updatePreview();
+    });
+  });
 }
+document.addEventListener("DOMContentLoaded", placeholderChips);
 
+// Shows exactly what each selected course (and, when the draft uses
+// {section_name}, each remaining section) will receive.
 async function updatePreview() {
-  if (!previewBodyEl) return;
-  const intro = TEMPLATES[currentTemplateIdx] || TEMPLATES[0];
-
+  if (!previewListEl) return;
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  let link = "[Insert app link]";
+  const courses = Array.from(selectedCourseIds)
+    .map((id) => lastCourses.find((c) => c.id === id))
+    .filter(Boolean);
+  refreshDedupSummary(tab, courses);
+  if (!tab || !courses.length) {
+    previewListEl.innerHTML =
+      `<p class="small"><em>Select a course to preview the message.</em></p>`;
+    return;
+  }
+  const host = new URL(tab.url).host;
+  const senderName = cachedUser?.short_name || cachedUser?.name || null;
+  const draft = getDraft();
+  const perSection = usesPlaceholder(draft.subject, "section_name") ||
+    usesPlaceholder(draft.body, "section_name");
+
+  previewListEl.innerHTML = `<div class="small">Sends to: ${
+    escapeHtml(describeTargeting(currentTargeting()))
+  }</div>` + courses.map((course) => {
+    const avail = availabilityByCourseId.get(course.id);
+    const groups = selectedGroupsByCourseId.get(course.id);
+    // Picked groups stand in for sections; {section_name} is the group
+    const sectionNames = groups || new Map(
+      (avail?.sections || []).map((x) => [Number(x.id), x.name]),
+    );
+    const remaining = groups
+      ? Array.from(groups.keys())
+      : avail?.remainingSectionIds?.length
+      ? avail.remainingSectionIds
+      : [0];
+    const sectionIds = perSection ? remaining : [remaining[0]];
+    const { messages } = renderCourseMessages({
+      draft,
+      host,
+      course,
+      sectionIds,
+      sectionNames,
+      senderName,
+      perRecipient: isPersonalized(),
+      linkSettings,
+    });
+    const label = course.course_code || course.name || course.id;
+    return Array.from(messages.entries()).map(([sid, m]) => `
+      <div class="report-card">
+        <strong>${escapeHtml(label)}</strong>${
+      perSection && sid ? ` · ${escapeHtml(sectionNames.get(sid) || sid)}` : ""
+    }${
+      groups && !perSection ? ` · ${groups.size} group(s)` : ""
+    }
+        <div class="small">Subject: ${escapeHtml(m.subject)}</div>
+        <pre class="report-body">${escapeHtml(m.body)}</pre>
+      </div>`).join("");
+  }).join("");
+}
 
-  const course = getFirstSelectedCourse();
-  if (tab && course) {
-    const host = new URL(tab.url).host;
-    const school = extractSchool(host);
-    link = `https://app.courselynx.com/join/${school}/${
-      courseSlugFromCourse(course)
-    }`;
+// What a send for `course` targets: its picked groups, or its remaining
+// sections with the chosen targeting. Rosters resolved for the dedup
+// summary and the review are cached by it (targetsKey).
+function sendTargets(course) {
+  const groups = selectedGroupsByCourseId.get(course.id);
+  if (groups?.size) return { groupIds: Array.from(groups.keys()) };
+  const avail = availabilityByCourseId.get(course.id);
+  return {
+    sectionIds: avail?.remainingSectionIds || [],
+    targeting: currentTargeting(),
+  };
+}
+
+function targetsKey(course) {
+  return `${course.id}|${JSON.stringify(sendTargets(course))}`;
+}
+
+// Cross-course dedup counts for the selection (dedupe.js). Rosters are
+// resolved once per course, targets and targeting, so typing in the
+// composer only re-plans.
+const dedupSummaryEl = document.getElementById("dedupSummary");
+const dedupRosters = new Map(); // "<courseId>|<targets>|<targeting>" -> ids
+let dedupGeneration = 0;
+
+function dedupRoster(tab, course) {
+  const key = targetsKey(course);
+  if (!dedupRosters.has(key)) {
+    const ids = chrome.tabs.sendMessage(tab.id, {
+      type: "RESOLVE_RECIPIENTS",
+      courseId: course.id,
+      ...sendTargets(course),
+    }).then((resp) => {
+      if (!resp?.ok) throw new Error(resp?.error || "Roster failed");
+      return resp.userIds;
+    });
+    ids.catch(() => dedupRosters.delete(key));
+    dedupRosters.set(key, ids);
   }
+  return dedupRosters.get(key);
+}
 
-  // newline so it renders on multiple lines
-  previewBodyEl.value = `${intro}\n${link}`;
+async function refreshDedupSummary(tab, courses) {
+  if (!dedupSummaryEl) return;
+  const generation = ++dedupGeneration;
+  const rule = currentDedupRule();
+  if (!tab || !rule || courses.length < 2) {
+    dedupSummaryEl.innerHTML = "";
+    return;
+  }
+  if (!dedupSummaryEl.innerHTML) {
+    dedupSummaryEl.textContent = "Checking for students in several courses…";
+  }
+  try {
+    const rosters = await Promise.all(courses.map(async (course) => ({
+      courseId: course.id,
+      userIds: await dedupRoster(tab, course),
+    })));
+    if (generation !== dedupGeneration) return;
+    const plan = planDedup(rosters, rule);
+    const rows = courses.map((course) => {
+      const c = plan.courses[course.id];
+      const label = course.course_code || course.name || course.id;
+      return `<li>${escapeHtml(label)}: ${c.kept} of ${c.recipients}</li>`;
+    }).join("");
+    dedupSummaryEl.innerHTML = plan.dropped
+      ? `<div>${plan.unique} student(s) get one message each: ` +
+        `${plan.dropped} duplicate(s) dropped from ${plan.total}.</div>` +
+        `<ul>${rows}</ul>`
+      : `<div>No student is in more than one selected course ` +
+        `(${plan.total} recipient(s)).</div>`;
+  } catch (e) {
+    if (generation !== dedupGeneration) return;
+    dedupSummaryEl.innerHTML = `<span class="error">${
+      escapeHtml(String(e?.message || e))
+    }</span>`;
+  }
 }
 
-// Keep preview in sync with dropdown changes
-templateSelectEl?.addEventListener("change", () => {
-  currentTemplateIdx = Number(templateSelectEl.value) || 0;
+composeSubjectEl?.addEventListener("input", () => {
+  saveDraftSoon();
+  updatePreview();
+});
+composeBodyEl?.addEventListener("input", () => {
+  saveDraftSoon();
   updatePreview();
 });
 
+templateSelectEl?.addEventListener("change", () => {
+  if (templateSelectEl.value === "") return;
+  applyTemplate(Number(templateSelectEl.value));
+});
+
 // Randomize button
-randomizeBtn?.addEventListener("click", async () => {
-  let next = Math.floor(Math.random() * TEMPLATES.length);
-  if (next === currentTemplateIdx) next = (next + 1) % TEMPLATES.length;
-  currentTemplateIdx = next;
-  if (templateSelectEl) templateSelectEl.value = String(next);
-  await updatePreview();
+randomizeBtn?.addEventListener("click", () => {
+  const n = templateLibrary.length;
+  if (!n) return;
+  let next = Math.floor(Math.random() * n);
+  if (n > 1 && next === currentTemplateIdx) next = (next + 1) % n;
+  applyTemplate(next);
 });
 
 /* =========================
    Progress Bar Helpers
    ========================= */
-// --- Chunk-based progress model ---
-const progressModel = {
-  totalChunksPlanned: 0,
-  sentChunks: 0,
-  perCourse: new Map(), // courseId -> { totalChunks: number, sentChunks: number }
-};
-
-function resetProgressModel() {
-  progressModel.totalChunksPlanned = 0;
-  progressModel.sentChunks = 0;
-  progressModel.perCourse.clear();
-}
-
-function recomputeSentChunks() {
-  let sum = 0;
-  for (const v of progressModel.perCourse.values()) {
-    sum += v.sentChunks || 0;
+// Chunk totals come from the job's SEND_PLAN / SEND_CHUNK_DONE bookkeeping
+function updateOverallProgress(job) {
+  let total = 0, done = 0;
+  for (const pc of Object.values(job?.progress || {})) {
+    total += pc.totalChunks || 0;
+    done += pc.sentChunks || 0;
   }
-  progressModel.sentChunks = sum;
-}
-
-function updateOverallProgress() {
-  const total = progressModel.totalChunksPlanned;
-  const done = progressModel.sentChunks;
   if (total > 0) {
     // switch to determinate
     progressBar.classList.remove("indeterminate");
@@ -343,7 +693,7 @@ function updateOverallProgress() {
    ========================= */
 // Cache the current user so we don’t refetch every section
 let cachedUser = null;
-async function getCurrentUser() {
+async function getCurrentUser(tab) {
   if (!cachedUser) {
     cachedUser = await chrome.tabs.sendMessage(tab.id, { type: "FETCH_SELF" });
   }
@@ -370,17 +720,21 @@ async function computeCourseAvailability(tab, course) {
   // 1) Sections from Canvas
   const sections = await loadSectionsFromContent(tab.id, course.id);
 
-  // 2) DB rows for this course+term
-  const rows = await getCourseSends({
-    canvasDomain: canvasHost,
-    courseId: course.id,
-    termKey,
-  });
-
-  // 3) Claimed set
-  const claimed = new Set(
-    rows.map((r) => (r.section_id === null ? 0 : Number(r.section_id))),
-  );
+  // 2) DB rows for this course+term (sections and groups)
+  const query = { canvasDomain: canvasHost, courseId: course.id, termKey };
+  const [rows, groupRows] = await Promise.all([
+    getCourseSends(query),
+    getCourseGroupSends(query),
+  ]);
+
+  // 3) Claimed set (partial sends count as claimed: they resume instead)
+  const sectionOf = (r) => (r.section_id === null ? 0 : Number(r.section_id));
+  const claimed = new Set(rows.map(sectionOf));
+  const partialSectionIds = rows.filter((r) => r.status === "partial")
+    .map(sectionOf);
+  const claimedGroupIds = groupRows.map((r) => Number(r.group_id));
+  const partialGroupIds = groupRows.filter((r) => r.status === "partial")
+    .map((r) => Number(r.group_id));
 
   // 4) Remaining
   const allSectionIds = sections.length
@@ -396,6 +750,11 @@ async function computeCourseAvailability(tab, course) {
     courseCode: course.course_code || "",
     termLabel,
     termKey,
+    sections,
+    remainingSectionIds: remainingSections,
+    partialSectionIds,
+    claimedGroupIds,
+    partialGroupIds,
     totalSections: allSectionIds.length,
     availableSections: remainingSections.length,
   };
@@ -404,8 +763,9 @@ async function computeCourseAvailability(tab, course) {
 /* =========================
    UI: render courses (checkbox on right)
    ========================= */
-function renderCourses(courses) {
+function renderCourses(courses, host) {
   const results = document.getElementById("results");
+  linkHost = host;
   results.innerHTML = "";
   if (!courses?.length) {
     results.innerHTML = "<p><em>No courses matched this term.</em></p>";
@@ -430,6 +790,20 @@ function renderCourses(courses) {
             ${c.course_code || "—"} · Term: ${term}
           </div>
           <div id="avail-${c.id}" class="course-status">Checking availability…</div>
+          <div id="link-${c.id}" class="course-tools"></div>
+          <div class="course-tools">
+            Roster:
+            <select id="roster-sec-${c.id}" class="roster-section">
+              <option value="">All sections</option>
+            </select>
+            <button class="link-btn roster-export" data-courseid="${c.id}" data-format="csv">CSV</button>
+            <button class="link-btn roster-export" data-courseid="${c.id}" data-format="json">JSON</button>
+            <button class="link-btn roster-people" data-courseid="${c.id}">Opt-outs</button>
+            <button class="link-btn course-groups" data-courseid="${c.id}">Groups</button>
+            <button id="resume-${c.id}" class="link-btn course-resume" data-courseid="${c.id}" style="display:none;">Resume</button>
+          </div>
+          <div id="people-${c.id}" class="course-people"></div>
+          <div id="groups-${c.id}" class="course-people"></div>
         </div>
         <div style="text-align:right;">
           <input
@@ -447,6 +821,7 @@ function renderCourses(courses) {
   });
 
   results.appendChild(ul);
+  courses.forEach((c) => renderCourseLink(c.id));
 
   // Toggle checkbox by clicking the card
   results.querySelectorAll(".course-card").forEach((card) => {
@@ -462,6 +837,43 @@ function renderCourses(courses) {
     });
   });
 
+  // Roster export buttons (course or one section, CSV or JSON)
+  results.querySelectorAll(".roster-export").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      exportRosterForCourse(
+        Number(btn.dataset.courseid),
+        btn.dataset.format,
+      )
+    );
+  });
+
+  // Roster with opt-out toggles (course or the section picked for export)
+  results.querySelectorAll(".roster-people").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      toggleRosterPeople(Number(btn.dataset.courseid))
+    );
+  });
+
+  // Group picker (send to Canvas groups instead of sections)
+  results.querySelectorAll(".course-groups").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      toggleGroupPicker(Number(btn.dataset.courseid))
+    );
+  });
+
+  // Resume sections a failed chunk left "partial"
+  results.querySelectorAll(".course-resume").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = Number(btn.dataset.courseid);
+      const course = lastCourses.find((c) => c.id === id);
+      if (!course) return;
+      startSendJob([course], {
+        resume: true,
+        paceMs: sendModePayload().paceMs,
+      });
+    });
+  });
+
   // Track checkbox changes
   results.querySelectorAll(".course-check").forEach((ck) => {
     ck.addEventListener("change", () => {
@@ -474,173 +886,428 @@ function renderCourses(courses) {
 }
 
 /* =========================
-   Intro → fetch courses
-   ========================= */
-document.addEventListener("DOMContentLoaded", () => {
-  coursesSection.classList.remove("hidden");
-  fetchAndRenderCoursesForTerm("Fall 2023");
-});
-/* =========================
-   Collect remaining sections for a course
+   Roster export (CSV / JSON)
    ========================= */
-async function collectRemainingSectionIds(tab, course) {
-  const resp = await chrome.tabs.sendMessage(tab.id, {
-    type: "FETCH_SECTIONS",
-    courseId: course.id,
-  });
-  if (!resp?.ok) throw new Error(resp?.error || "Failed to fetch sections");
-  const sections = resp.sections || [];
-  const sectionIds = sections.length ? sections.map((s) => Number(s.id)) : [0];
-
-  const canvasHost = new URL(tab.url).host;
-  const termLabel = getTermLabel(course);
-  const termKey = toTermKey(termLabel);
-  const rows = await getCourseSends({
-    canvasDomain: canvasHost,
-    courseId: course.id,
-    termKey,
-  });
-  const claimed = new Set(
-    rows.map((r) => (r.section_id === null ? 0 : Number(r.section_id))),
-  );
+function populateRosterSectionSelect(courseId, sections) {
+  const sel = document.getElementById(`roster-sec-${courseId}`);
+  if (!sel) return;
+  sel.innerHTML = `<option value="">All sections</option>` +
+    sections.map((s) =>
+      `<option value="${s.id}">${escapeHtml(s.name)}</option>`
+    ).join("");
+}
 
-  return {
-    sectionIds: sectionIds.filter((id) => !claimed.has(id)),
-    canvasHost,
-    termKey,
-    termLabel,
-  };
+async function exportRosterForCourse(courseId, format) {
+  const course = lastCourses.find((c) => c.id === courseId);
+  const statusEl = document.getElementById(`avail-${courseId}`);
+  const sectionId = Number(
+    document.getElementById(`roster-sec-${courseId}`)?.value,
+  ) || null;
+  const prev = statusEl?.textContent;
+  if (statusEl) statusEl.textContent = "Exporting roster…";
+  try {
+    const tab =
+      (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "EXPORT_ROSTER",
+      courseId,
+      sectionId,
+      targeting: currentTargeting(),
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Roster export failed");
+    const slug = (course?.course_code || `course-${courseId}`)
+      .replace(/[^a-z0-9]+/gi, "-").replace(/^-+|-+$/g, "");
+    downloadRows(
+      `roster-${slug}${sectionId ? `-section-${sectionId}` : ""}`,
+      resp.rows,
+      format,
+      resp.columns,
+    );
+    if (statusEl) statusEl.textContent = prev;
+  } catch (e) {
+    if (statusEl) {
+      statusEl.innerHTML = `<span class="error">${
+        escapeHtml(String(e))
+      }</span>`;
+    }
+  }
 }
 
 /* =========================
-   Send for one course
+   Group picker (Canvas course groups)
    ========================= */
-async function handleSendLinkForCourse(course, statusEl) {
-  const tab =
-    (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
-  const host = new URL(tab.url).host;
-  const termLabel = getTermLabel(course);
-  const termKey = toTermKey(termLabel);
+// Picking a group selects its course even when every section was sent:
+// group claims are separate from section claims.
+function setCourseGroups(courseId, groups) {
+  const ck = document.getElementById(`ck-${courseId}`);
+  if (groups.size) {
+    selectedGroupsByCourseId.set(courseId, groups);
+    selectedCourseIds.add(courseId);
+    if (ck) {
+      ck.disabled = false;
+      ck.checked = true;
+    }
+  } else {
+    selectedGroupsByCourseId.delete(courseId);
+    if (!availabilityByCourseId.get(courseId)?.availableSections && ck) {
+      selectedCourseIds.delete(courseId);
+      ck.checked = false;
+      ck.disabled = true;
+    }
+  }
+  updatePreview();
+}
 
-  const joinUrl = `https://app.courselynx.com/join/${extractSchool(host)}/${
-    courseSlugFromCourse(course)
-  }`;
+// { groups: { "<courseId>": [{ id, name }] } } for the job options
+function groupsPayload(courses) {
+  const groups = {};
+  for (const c of courses) {
+    const picked = selectedGroupsByCourseId.get(c.id);
+    if (!picked?.size) continue;
+    groups[c.id] = Array.from(picked, ([id, name]) => ({ id, name }));
+  }
+  return Object.keys(groups).length ? { groups } : {};
+}
 
-  const subject = "Join the CourseLynx group chat";
-  const intro = TEMPLATES[currentTemplateIdx] || TEMPLATES[0];
-  const body = `${intro} ${joinUrl}`;
-  statusEl.textContent = "Checking remaining sections…";
-  const { sectionIds, canvasHost } = await collectRemainingSectionIds(
-    tab,
-    course,
-  );
-  if (!sectionIds.length) {
-    statusEl.textContent = "Already sent for all sections.";
+async function toggleGroupPicker(courseId) {
+  const el = document.getElementById(`groups-${courseId}`);
+  if (!el) return;
+  if (el.innerHTML) {
+    el.innerHTML = "";
     return;
   }
-
-  // Claim all unclaimed sections (one by one)
-  statusEl.textContent = `Claiming ${sectionIds.length} section(s)…`;
-  const claims = [];
-  const userProfile = await getCurrentUser();
-  const senderEmail = userProfile?.primary_email || null;
-  for (const sid of sectionIds) {
-    try {
-      const claim = await claimCourse({
-        canvasDomain: canvasHost,
-        courseId: course.id,
-        courseCode: course.course_code || null,
-        courseName: course.name || null,
-        sectionId: sid === 0 ? null : sid,
-        sectionName: null,
-        termKey,
-        termLabel,
-        linkUrl: joinUrl,
-        sender: senderEmail,
+  el.innerHTML = `<div class="small">Loading groups…</div>`;
+  try {
+    const tab = await canvasTab();
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "FETCH_GROUPS",
+      courseId,
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Failed to fetch groups");
+    const claimed = new Set(
+      availabilityByCourseId.get(courseId)?.claimedGroupIds || [],
+    );
+    const picked = selectedGroupsByCourseId.get(courseId) || new Map();
+    // Listed under their group set; anything else goes last
+    const known = new Set(resp.categories.map((cat) => cat.id));
+    const categoryOf = (g) => known.has(g.categoryId) ? g.categoryId : null;
+    const categories = [
+      ...resp.categories,
+      { id: null, name: "Other groups" },
+    ];
+    const html = categories.map((cat) => {
+      const groups = resp.groups.filter((g) => categoryOf(g) === cat.id);
+      if (!groups.length) return "";
+      return `<div class="small"><strong>${
+        escapeHtml(cat.name)
+      }</strong></div>` +
+        groups.map((g) => `
+        <label class="small" style="display:block;">
+          <input type="checkbox" class="group-check" data-groupid="${g.id}"
+            data-name="${escapeHtml(g.name)}"${
+          claimed.has(g.id) ? " disabled" : ""
+        }${picked.has(g.id) ? " checked" : ""} />
+          ${escapeHtml(g.name)}${
+          g.membersCount != null ? ` (${g.membersCount})` : ""
+        }${claimed.has(g.id) ? ` <span class="muted">· sent</span>` : ""}
+        </label>`).join("");
+    }).join("");
+    el.innerHTML = html ||
+      `<div class="small"><em>This course has no groups.</em></div>`;
+    el.querySelectorAll(".group-check").forEach((box) => {
+      box.addEventListener("change", () => {
+        const groups = new Map(selectedGroupsByCourseId.get(courseId) || []);
+        if (box.checked) {
+          groups.set(Number(box.dataset.groupid), box.dataset.name);
+        } else groups.delete(Number(box.dataset.groupid));
+        setCourseGroups(courseId, groups);
       });
-      if (claim && !claim.already_exists) {
-        claims.push({ sectionId: sid, claimId: claim.id });
-      }
-    } catch {
-      // race is fine, just skip
-    }
-  }
-  if (!claims.length) {
-    statusEl.textContent = "Nothing to send — all sections claimed.";
-    return;
+    });
+  } catch (e) {
+    el.innerHTML = `<span class="error">${escapeHtml(String(e))}</span>`;
   }
+}
 
-  // CSRF
-  const csrfResp = await chrome.runtime.sendMessage({
-    type: "GET_LATEST_CSRF",
-  });
-  if (!csrfResp?.csrf) {
-    throw new Error(
-      "Missing CSRF. Send one message in Canvas Inbox UI to prime, then try again.",
+/* =========================
+   Join links (per-course overrides, school and subject mappings)
+   ========================= */
+// Saved in storage.local joinLinkSettings (courses.js); the job runner reads
+// the same settings, so the preview shows the link a send will use.
+let linkSettings = null;
+let linkHost = ""; // Canvas host of the rendered course list
+
+function renderCourseLink(courseId, editing = false) {
+  const el = document.getElementById(`link-${courseId}`);
+  const course = lastCourses.find((c) => c.id === courseId);
+  if (!el || !course) return;
+  const parts = joinLinkParts(linkHost, course, linkSettings);
+  el.dataset.editing = editing ? "1" : "";
+  if (!editing) {
+    el.innerHTML = `Join link: <code>${escapeHtml(parts.school)}/${
+      escapeHtml(parts.slug)
+    }</code>${parts.overridden ? " (edited)" : ""}
+      <button class="link-btn link-edit">Edit</button>`;
+    el.querySelector(".link-edit").addEventListener(
+      "click",
+      () => renderCourseLink(courseId, true),
     );
+    return;
   }
-  const csrfToken = csrfResp.csrf;
-
-  // Send once to all course students
-  statusEl.textContent = "Fetching students & sending (chunked)…";
-  const sendResp = await chrome.tabs.sendMessage(tab.id, {
-    type: "SEND_LINK_TO_COURSE",
-    courseId: course.id,
-    subject,
-    body,
-    csrfToken,
-  });
-  if (!sendResp?.ok) {
-    // release all claims if sending failed
-    for (const c of claims) {
-      try {
-        await releaseClaim({ id: c.claimId });
-      } catch {}
-    }
-    throw new Error(sendResp?.error || "Send failed");
+  // Empty inputs keep the computed value (shown as the placeholder)
+  const override = linkSettings?.courses?.[linkHost]?.[courseId] || {};
+  el.innerHTML = `
+    <input class="link-school" size="8" placeholder="${
+    escapeHtml(parts.computedSchool)
+  }" value="${escapeHtml(override.school || "")}" /> /
+    <input class="link-slug" size="12" placeholder="${
+    escapeHtml(parts.computedSlug)
+  }" value="${escapeHtml(override.slug || "")}" />
+    <button class="link-btn link-save">Save</button>
+    <button class="link-btn link-reset">Reset</button>
+    <button class="link-btn link-cancel">Cancel</button>`;
+  const save = async (override) => {
+    linkSettings = await setCourseLinkOverride(linkHost, courseId, override);
+    renderCourseLink(courseId);
+    updatePreview();
+  };
+  el.querySelector(".link-save").addEventListener("click", () =>
+    save({
+      school: el.querySelector(".link-school").value,
+      slug: el.querySelector(".link-slug").value,
+    })
+  );
+  el.querySelector(".link-reset").addEventListener("click", () => save(null));
+  el.querySelector(".link-cancel").addEventListener(
+    "click",
+    () => renderCourseLink(courseId),
+  );
+}
+
+const schoolMappingsEl = document.getElementById("schoolMappings");
+const subjectMappingsEl = document.getElementById("subjectMappings");
+const joinLinksStatusEl = document.getElementById("joinLinksStatus");
+
+function formatMappings(map) {
+  return Object.entries(map).map(([k, v]) => `${k} = ${v}`).join("\n");
+}
+
+// "key = value" per line; throws on a line that isn't one
+function parseMappings(text, normalizeKey) {
+  const out = {};
+  text.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    const m = line.match(/^\s*([^=]+?)\s*=\s*(.+?)\s*$/);
+    const value = m && cleanLinkPart(m[2]);
+    if (!value) throw new Error(`Line ${i + 1}: use "name = value".`);
+    out[normalizeKey(m[1])] = value;
+  });
+  return out;
+}
+
+function fillMappings() {
+  if (schoolMappingsEl) {
+    schoolMappingsEl.value = formatMappings(linkSettings.schools);
+  }
+  if (subjectMappingsEl) {
+    subjectMappingsEl.value = formatMappings(linkSettings.subjects);
   }
+}
 
-  // Mark each claimed section as sent
-  const meta = {
-    link_url: joinUrl,
-    recipients: sendResp.totalRecipients,
-    chunks: sendResp.chunks,
-  };
-  statusEl.textContent = `Marking ${claims.length} section(s) as sent…`;
-  for (const c of claims) {
-    await markSent({
-      id: c.claimId,
-      metadata: { ...meta, section_id: c.sectionId === 0 ? null : c.sectionId },
-    });
-    await new Promise((r) => setTimeout(r, 50));
+// Course rows with an open Edit box keep it (and what was typed in it)
+function refreshCourseLinks() {
+  for (const c of lastCourses) {
+    const el = document.getElementById(`link-${c.id}`);
+    if (!el?.dataset.editing) renderCourseLink(c.id);
+  }
+  updatePreview();
+}
+
+async function loadJoinLinkSettings() {
+  linkSettings = await getJoinLinkSettings();
+  fillMappings();
+  const builtInEl = document.getElementById("builtInMappings");
+  if (builtInEl) {
+    builtInEl.textContent = "Built in: " + formatMappings({
+      ...Object.fromEntries(SCHOOL_OVERRIDES),
+      ...SUBJECT_MAP,
+    }).replaceAll("\n", ", ");
   }
+  refreshCourseLinks();
+}
+
+// The mappings this popup saved last, so their storage change doesn't
+// rewrite the boxes under the cursor
+const mappingsOf = (v) =>
+  JSON.stringify({ schools: v?.schools || {}, subjects: v?.subjects || {} });
+let ownMappings = null;
+
+document.getElementById("saveJoinLinksBtn")?.addEventListener(
+  "click",
+  async () => {
+    try {
+      const settings = await getJoinLinkSettings();
+      settings.schools = parseMappings(
+        schoolMappingsEl.value,
+        (k) => k.toLowerCase(),
+      );
+      settings.subjects = parseMappings(
+        subjectMappingsEl.value,
+        (k) => k.toUpperCase(),
+      );
+      ownMappings = mappingsOf(settings);
+      await saveJoinLinkSettings(settings);
+      joinLinksStatusEl.textContent = "Saved.";
+    } catch (e) {
+      joinLinksStatusEl.innerHTML = `<span class="error">${
+        escapeHtml(e.message || String(e))
+      }</span>`;
+    }
+  },
+);
+
+// Saved here or elsewhere (another popup window). The mapping boxes are
+// only refilled for mappings someone else changed; a course override
+// leaves them, and any unsaved text in them, alone.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" || !changes.joinLinkSettings) return;
+  const { oldValue, newValue } = changes.joinLinkSettings;
+  const mappings = mappingsOf(newValue);
+  linkSettings = await getJoinLinkSettings();
+  if (mappings !== mappingsOf(oldValue) && mappings !== ownMappings) {
+    fillMappings();
+  }
+  refreshCourseLinks();
+});
+document.addEventListener("DOMContentLoaded", loadJoinLinkSettings);
+
+/* =========================
+   Intro → fetch courses
+   ========================= */
+document.addEventListener("DOMContentLoaded", () => {
+  coursesSection.classList.remove("hidden");
+  loadTermPicker();
+});
+
+/* =========================
+   Term picker (persisted per Canvas host)
+   ========================= */
+// storage.local termChoiceByHost: { "<host>": { kind: "term", id, name }
+//   | { kind: "all" } | { kind: "text", text } }
+const termSelectEl = document.getElementById("termSelect");
+const termTextEl = document.getElementById("termText");
+
+function choiceLabel(choice) {
+  if (choice.kind === "all") return "all terms";
+  if (choice.kind === "text") return `"${choice.text}"`;
+  return `"${choice.name}"`;
+}
+
+function choiceFromSelect() {
+  const v = termSelectEl.value;
+  if (v === "all") return { kind: "all" };
+  if (v === "text") return { kind: "text", text: termTextEl.value.trim() };
+  const opt = termSelectEl.selectedOptions[0];
+  return { kind: "term", id: v.replace(/^term:/, ""), name: opt?.textContent };
+}
 
-  statusEl.textContent =
-    `Done: sent ${sendResp.totalRecipients} message(s) across ${sendResp.chunks} chunk(s).`;
+async function saveTermChoice(host, choice) {
+  const { termChoiceByHost = {} } = await chrome.storage.local.get([
+    "termChoiceByHost",
+  ]);
+  termChoiceByHost[host] = choice;
+  await chrome.storage.local.set({ termChoiceByHost });
 }
 
+async function loadTermPicker() {
+  const status = document.getElementById("status");
+  const tab =
+    (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!tab || !(await isCanvasUrl(tab.url || ""))) {
+    // Renders the "open this on a Canvas page" hint
+    return fetchAndRenderCourses({ kind: "all" });
+  }
+  const host = new URL(tab.url).host;
+
+  status.textContent = "Loading your terms…";
+  let resp;
+  try {
+    resp = await chrome.tabs.sendMessage(tab.id, { type: "FETCH_TERMS" });
+  } catch (e) {
+    resp = { ok: false, error: String(e) };
+  }
+  const terms = resp?.ok ? resp.terms : [];
+  termSelectEl.innerHTML = terms.map((t) =>
+    `<option value="term:${t.id}">${escapeHtml(t.name)}</option>`
+  ).join("") +
+    `<option value="all">All terms</option>` +
+    `<option value="text">Other (type a term)…</option>`;
+
+  const { termChoiceByHost = {} } = await chrome.storage.local.get([
+    "termChoiceByHost",
+  ]);
+  let choice = termChoiceByHost[host];
+  const known = (id) => terms.some((t) => String(t.id) === String(id));
+  if (!choice || (choice.kind === "term" && !known(choice.id))) {
+    const cur = terms.find((t) => t.id === resp?.currentTermId);
+    choice = cur
+      ? { kind: "term", id: String(cur.id), name: cur.name }
+      : { kind: "all" };
+  }
+
+  termSelectEl.value = choice.kind === "term"
+    ? `term:${choice.id}`
+    : choice.kind;
+  termTextEl.value = choice.kind === "text" ? choice.text : "";
+  termTextEl.classList.toggle("hidden", choice.kind !== "text");
+
+  const apply = async (next) => {
+    await saveTermChoice(host, next);
+    fetchAndRenderCourses(next);
+  };
+  termSelectEl.onchange = () => {
+    const next = choiceFromSelect();
+    termTextEl.classList.toggle("hidden", next.kind !== "text");
+    if (next.kind === "text") {
+      termTextEl.focus();
+      if (!next.text) return;
+    }
+    apply(next);
+  };
+  termTextEl.onkeydown = (e) => {
+    if (e.key === "Enter" && termTextEl.value.trim()) apply(choiceFromSelect());
+  };
+
+  fetchAndRenderCourses(choice);
+}
 /* =========================
    Fetch & render courses for a term
    ========================= */
-async function fetchAndRenderCoursesForTerm(termText = "Fall 2025") {
+// Bumped on every fetch so a slower, older availability loop stops touching
+// the list after the user switched terms.
+let coursesGeneration = 0;
+
+async function fetchAndRenderCourses(choice = { kind: "all" }) {
+  const generation = ++coursesGeneration;
   const status = document.getElementById("status");
-  status.textContent = `Requesting courses and filtering by "${termText}"…`;
+  status.textContent = `Requesting courses for ${choiceLabel(choice)}…`;
 
   try {
     const tab =
       (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
 
-    if (!tab || !isCanvasUrl(tab.url || "")) {
+    if (!tab || !(await isCanvasUrl(tab.url || ""))) {
       status.innerHTML =
-        `<span class="error">Open this on a Canvas page (e.g., *.instructure.com, canvas.*.edu, webcourses.*.edu)</span>`;
+        `<span class="error">Open this on a Canvas page. If your school’s Canvas has its own domain, add it under ⚙ Settings.</span>`;
       return;
     }
 
     // Ask content for filtered courses
     const resp = await chrome.tabs.sendMessage(tab.id, {
       type: "FETCH_COURSES_FILTERED",
-      termFilter: termText,
+      termId: choice.kind === "term" ? choice.id : null,
+      termFilter: choice.kind === "text" ? choice.text : "",
     });
+    if (generation !== coursesGeneration) return;
     if (!resp?.ok) {
       status.innerHTML = `<span class="error">Failed: ${
         resp?.error || "unknown error"
@@ -649,20 +1316,41 @@ async function fetchAndRenderCoursesForTerm(termText = "Fall 2025") {
     }
 
     // cache + render
+    selectedCourseIds.clear();
+    selectedGroupsByCourseId.clear();
+    availabilityByCourseId.clear();
+    dedupRosters.clear();
+    reviews.clear();
+    if (reviewPanelEl) reviewPanelEl.innerHTML = "";
     lastCourses.length = 0;
     lastCourses.push(...resp.courses);
-    renderCourses(resp.courses);
+    renderCourses(resp.courses, new URL(tab.url).host);
+    populateSingleCourseSelect(tab);
+    populateTestCourseSelect();
+    // Fills {sender_name} in the preview
+    getCurrentUser(tab).then(updatePreview).catch(() => {});
     status.textContent =
       "Clicking button will send message to all selected courses.";
 
-    // compute availability for each course
-    for (const course of resp.courses) {
+    // Compute availability for all courses at once; the content script's
+    // request scheduler paces the Canvas calls
+    await Promise.all(resp.courses.map(async (course) => {
+      if (generation !== coursesGeneration) return;
       try {
         const avail = await computeCourseAvailability(tab, course);
+        if (generation !== coursesGeneration) return;
         availabilityByCourseId.set(course.id, avail);
+        populateRosterSectionSelect(course.id, avail.sections);
 
         const label = document.getElementById(`avail-${course.id}`);
         const ck = document.getElementById(`ck-${course.id}`);
+        const resumeBtn = document.getElementById(`resume-${course.id}`);
+        const partialCount = avail.partialSectionIds.length +
+          avail.partialGroupIds.length;
+        if (resumeBtn && partialCount) {
+          resumeBtn.style.display = "inline";
+          resumeBtn.textContent = `Resume (${partialCount})`;
+        }
 
         if (avail.availableSections > 0) {
           if (label) {
@@ -676,7 +1364,10 @@ async function fetchAndRenderCoursesForTerm(termText = "Fall 2025") {
           }
         } else {
           if (label) {
-            label.textContent = `Already sent for all sections this term`;
+            label.textContent = partialCount
+              ? `${partialCount} send(s) stopped partway — Resume ` +
+                "to finish"
+              : `Already sent for all sections this term`;
           }
           if (ck) {
             ck.checked = false;
@@ -692,7 +1383,11 @@ async function fetchAndRenderCoursesForTerm(termText = "Fall 2025") {
           }</span>`;
         }
       }
-    }
+    }));
+    if (generation !== coursesGeneration) return;
+
+    // A running job keeps its courses locked over fresh availability
+    if (currentJob?.status === "running") renderJob(currentJob);
 
     // once list is ready (and some may be auto-checked), show preview
     updatePreview();
@@ -702,85 +1397,1250 @@ async function fetchAndRenderCoursesForTerm(termText = "Fall 2025") {
   }
 }
 
+/* =========================
+   Single recipient: search → pick → send
+   ========================= */
+const singleCourseEl = document.getElementById("singleCourse");
+const singleNameEl = document.getElementById("singleName");
+const singleCandidatesEl = document.getElementById("singleCandidates");
+const singleSubjectEl = document.getElementById("singleSubject");
+const singleBodyEl = document.getElementById("singleBody");
+const singleSendBtn = document.getElementById("singleSendBtn");
+const singleStatusEl = document.getElementById("singleStatus");
+let singlePickedId = null;
+
+function courseIdFromTabUrl(u) {
+  const m = String(u || "").match(/\/courses\/(\d+)/);
+  return m ? Number(m[1]) : null;
+}
+
+// Course list for the picker: fetched courses, plus the tab's own course
+// (it may belong to another term) preselected when present.
+function populateSingleCourseSelect(tab) {
+  if (!singleCourseEl) return;
+  const tabCourseId = courseIdFromTabUrl(tab?.url);
+  const opts = lastCourses.map((c) => ({
+    id: c.id,
+    label: c.course_code || c.name || `Course ${c.id}`,
+  }));
+  if (tabCourseId && !opts.some((o) => o.id === tabCourseId)) {
+    opts.unshift({ id: tabCourseId, label: `Current course (${tabCourseId})` });
+  }
+  singleCourseEl.innerHTML = opts.map((o) =>
+    `<option value="${o.id}">${escapeHtml(o.label)}</option>`
+  ).join("");
+  if (tabCourseId) singleCourseEl.value = String(tabCourseId);
+}
+
+function renderCandidates(candidates) {
+  singlePickedId = null;
+  singleSendBtn?.setAttribute("disabled", "true");
+  if (!candidates.length) {
+    singleCandidatesEl.innerHTML =
+      `<li class="small"><em>No matching people in this course.</em></li>`;
+    return;
+  }
+  singleCandidatesEl.innerHTML = candidates.map((c) => `
+    <li>
+      <label class="candidate">
+        <input type="radio" name="singlePick" value="${c.id}" />
+        ${
+    c.avatarUrl
+      ? `<img class="avatar" src="${escapeHtml(c.avatarUrl)}" alt="" />`
+      : `<span class="avatar"></span>`
+  }
+        <span>
+          <strong>${escapeHtml(c.name)}</strong>
+          <div class="course-sub">
+            ${escapeHtml(c.roles.join(", ") || "—")} · ${
+    escapeHtml(c.sections.join(", ") || "No section")
+  }
+          </div>
+        </span>
+      </label>
+    </li>
+  `).join("");
+
+  // A single exact hit is picked for you; otherwise choose explicitly
+  if (candidates.length === 1) {
+    singleCandidatesEl.querySelector("input[name=singlePick]").checked = true;
+    singlePickedId = candidates[0].id;
+    singleSendBtn?.removeAttribute("disabled");
+  }
+  singleCandidatesEl.querySelectorAll("input[name=singlePick]").forEach(
+    (r) => {
+      r.addEventListener("change", () => {
+        singlePickedId = Number(r.value);
+        singleSendBtn?.removeAttribute("disabled");
+      });
+    },
+  );
+}
+
+document.getElementById("singleSearchBtn")?.addEventListener(
+  "click",
+  async () => {
+    const courseId = Number(singleCourseEl?.value);
+    const search = (singleNameEl?.value || "").trim();
+    if (!courseId || search.length < 2) {
+      singleStatusEl.textContent = "Pick a course and type at least 2 letters.";
+      return;
+    }
+    singleStatusEl.textContent = "Searching…";
+    try {
+      const tab =
+        (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+      const resp = await chrome.tabs.sendMessage(tab.id, {
+        type: "SEARCH_RECIPIENTS",
+        courseId,
+        search,
+      });
+      if (!resp?.ok) throw new Error(resp?.error || "Search failed");
+      renderCandidates(resp.candidates || []);
+      singleStatusEl.textContent = resp.candidates.length > 1
+        ? `${resp.candidates.length} matches — pick one.`
+        : "";
+    } catch (e) {
+      singleStatusEl.innerHTML = `<span class="error">${
+        escapeHtml(String(e))
+      }</span>`;
+    }
+  },
+);
+
+singleSendBtn?.addEventListener("click", async () => {
+  const courseId = Number(singleCourseEl?.value);
+  const body = (singleBodyEl?.value || "").trim();
+  if (!singlePickedId || !body) {
+    singleStatusEl.textContent = "Pick a recipient and write a message.";
+    return;
+  }
+  singleSendBtn.setAttribute("disabled", "true");
+  singleStatusEl.textContent = "Sending…";
+  try {
+    const csrfResp = await chrome.runtime.sendMessage({
+      type: "GET_LATEST_CSRF",
+    });
+    if (!csrfResp?.csrf) {
+      throw new Error(
+        "Missing CSRF. Send one message in Canvas Inbox UI to prime, then try again.",
+      );
+    }
+    const tab =
+      (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    const course = lastCourses.find((c) => c.id === courseId);
+    const termLabel = course ? getTermLabel(course) : null;
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "SEND_ONE_MESSAGE",
+      courseId,
+      recipientId: singlePickedId,
+      subject: (singleSubjectEl?.value || "").trim(),
+      body,
+      csrfToken: csrfResp.csrf,
+      // Labels for the send history
+      audit: {
+        courseCode: course?.course_code || null,
+        courseName: course?.name || null,
+        termKey: termLabel ? toTermKey(termLabel) : null,
+        termLabel,
+      },
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Send failed");
+    singleStatusEl.textContent = "Sent.";
+    if (singleBodyEl) singleBodyEl.value = "";
+  } catch (e) {
+    singleStatusEl.innerHTML = `<span class="error">${
+      escapeHtml(String(e))
+    }</span>`;
+  } finally {
+    singleSendBtn.removeAttribute("disabled");
+  }
+});
+
 /* =========================
    Batch "Send link to selected"
    ========================= */
-sendSelectedBtn?.addEventListener("click", async () => {
-  const ids = Array.from(selectedCourseIds);
-  if (!ids.length) {
+const dryRunToggleEl = document.getElementById("dryRunToggle");
+const dryRunReportEl = document.getElementById("dryRunReport");
+
+function attachmentNote(x) {
+  const n = x.attachmentIds?.length || 0;
+  return n ? `, ${n} attachment(s) on every message` : "";
+}
+
+// Who the dedup plan and the review took out of a section
+function leftOutNote(x) {
+  const dup = x.droppedDuplicates?.length || 0;
+  const unapproved = x.unapproved?.length || 0;
+  return (dup ? `, ${dup} left to another selected course` : "") +
+    (unapproved ? `, ${unapproved} not approved in the review` : "");
+}
+
+function renderDryRunReport(reports) {
+  if (!dryRunReportEl) return;
+  if (!reports.length) {
+    dryRunReportEl.innerHTML = "";
+    return;
+  }
+  dryRunReportEl.innerHTML = `<h4 style="margin:10px 0 4px;">Dry-run report</h4>` +
+    reports.map((r) => {
+      const label = r.course.course_code || r.course.name || r.course.id;
+      if (r.error) {
+        return `<div class="report-card"><strong>${escapeHtml(label)}</strong>
+          <div class="error">${escapeHtml(r.error)}</div></div>`;
+      }
+      if (!r.sections.length) {
+        return `<div class="report-card"><strong>${escapeHtml(label)}</strong>
+          <div class="small">Nothing to claim — already sent for all sections.</div></div>`;
+      }
+      // One message block when every section gets the same text
+      const distinct = new Set(
+        r.sections.map((x) => `${x.subject}\n${x.body}`),
+      );
+      const rows = r.sections.map((x) =>
+        `<li>${escapeHtml(x.sectionName)}: ${
+          x.ok === false
+            ? `<span class="error">${escapeHtml(x.error)}</span>`
+            : x.mode === "personalized"
+            ? `${x.totalRecipients} personalized message(s)` +
+              (x.transport ? ` via ${x.transport}` : "") +
+              attachmentNote(x) +
+              leftOutNote(x) +
+              (x.samples || []).map((m) =>
+                `<div>To ${escapeHtml(m.name)}: ` +
+                `${escapeHtml(m.subject)}</div>` +
+                `<pre class="report-body">${escapeHtml(m.body)}</pre>`
+              ).join("")
+            : `${x.totalRecipients} recipient(s), ${x.chunks} chunk(s)` +
+              (x.chunkSizes?.length ? ` [${x.chunkSizes.join(", ")}]` : "") +
+              (x.transport ? ` via ${x.transport}` : "") +
+              attachmentNote(x) +
+              leftOutNote(x)
+        }${
+          distinct.size > 1
+            ? `<div>Subject: ${escapeHtml(x.subject)}</div>` +
+              `<pre class="report-body">${escapeHtml(x.body)}</pre>`
+            : ""
+        }</li>`
+      ).join("");
+      const shared = distinct.size === 1 ? r.sections[0] : null;
+      const unit = r.sections.some((x) => x.groupId)
+        ? "group(s)"
+        : "section(s)";
+      return `<div class="report-card">
+        <strong>${escapeHtml(label)}</strong>
+        <div class="small">Would claim ${r.sections.length} ${unit}:</div>
+        <ul class="small">${rows}</ul>
+        ${
+        shared
+          ? `<div class="small">Subject: ${escapeHtml(shared.subject)}</div>
+        <pre class="report-body">${escapeHtml(shared.body)}</pre>`
+          : ""
+      }
+      </div>`;
+    }).join("");
+}
+
+// Personalized sends: who got their message and who didn't, per course
+const recipientReportEl = document.getElementById("recipientReport");
+
+function renderRecipientReport(reports) {
+  if (!recipientReportEl) return;
+  recipientReportEl.innerHTML = reports.map((r) => {
+    const label = r.course.course_code || r.course.name || r.course.id;
+    const failed = r.recipients.filter((x) => !x.ok);
+    const rows = r.recipients.map((x) =>
+      `<li>${escapeHtml(x.name || x.userId)}: ${
+        x.ok ? "sent" : `<span class="error">${escapeHtml(x.error)}</span>`
+      }</li>`
+    ).join("");
+    return `<details class="report-card"${failed.length ? " open" : ""}>
+      <summary><strong>${escapeHtml(label)}</strong> — ${
+      r.recipients.length - failed.length
+    } sent, ${failed.length} failed</summary>
+      <ul class="small">${rows}</ul>
+    </details>`;
+  }).join("");
+}
+
+/* =========================
+   Scheduled sends (chrome.alarms in the background)
+   ========================= */
+const scheduleAtEl = document.getElementById("scheduleAt");
+const scheduleBtn = document.getElementById("scheduleBtn");
+const scheduleStatusEl = document.getElementById("scheduleStatus");
+const scheduledWrapEl = document.getElementById("scheduledWrap");
+const scheduledListEl = document.getElementById("scheduledList");
+
+// <input type="datetime-local"> speaks local "YYYY-MM-DDTHH:mm"
+function toLocalInput(ts) {
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+function fromLocalInput(value) {
+  return value ? new Date(value).getTime() : NaN;
+}
+
+function showScheduleError(error) {
+  if (scheduleStatusEl) {
+    scheduleStatusEl.innerHTML = `<span class="error">${
+      escapeHtml(error || "Something went wrong.")
+    }</span>`;
+  }
+}
+
+async function refreshScheduled() {
+  if (!scheduledListEl) return;
+  const resp = await chrome.runtime.sendMessage({ type: "LIST_SCHEDULED" });
+  const list = resp?.scheduled || [];
+  scheduledWrapEl.style.display = list.length ? "block" : "none";
+  scheduledListEl.innerHTML = list.map((e) => `
+    <div class="report-card" data-id="${e.id}">
+      <strong>${escapeHtml(new Date(e.runAt).toLocaleString())}</strong>
+      · ${escapeHtml(e.host)}
+      <div class="small">${
+    escapeHtml(e.courses.map((c) => c.course_code || c.name || c.id).join(", "))
+  }</div>
+      <div class="small">Subject: ${escapeHtml(e.draft.subject)}${
+    e.options.mode === "personalized" ? " (personalized)" : ""
+  }</div>
+      ${
+    e.error
+      ? `<div class="small error">Didn’t start: ${escapeHtml(e.error)}. ` +
+        `Pick a new time to retry.</div>`
+      : ""
+  }
+      <div class="small" style="display:flex; gap:6px; align-items:center;">
+        <input type="datetime-local" class="sched-time"
+          value="${toLocalInput(e.runAt)}" />
+        <button class="link-btn sched-draft">Use current message</button>
+        <button class="link-btn sched-cancel">Cancel</button>
+      </div>
+    </div>`).join("");
+
+  scheduledListEl.querySelectorAll(".report-card").forEach((card) => {
+    const id = card.dataset.id;
+    const update = async (patch) => {
+      const r = await chrome.runtime.sendMessage({
+        type: "UPDATE_SCHEDULED",
+        id,
+        patch,
+      });
+      if (!r?.ok) showScheduleError(r?.error);
+      refreshScheduled();
+    };
+    card.querySelector(".sched-time").addEventListener("change", (ev) => {
+      update({ runAt: fromLocalInput(ev.target.value) });
+    });
+    card.querySelector(".sched-draft").addEventListener("click", () => {
+      update({ draft: getDraft() });
+    });
+    card.querySelector(".sched-cancel").addEventListener("click", async () => {
+      await chrome.runtime.sendMessage({ type: "CANCEL_SCHEDULED", id });
+      refreshScheduled();
+    });
+  });
+}
+document.addEventListener("DOMContentLoaded", refreshScheduled);
+
+scheduleBtn?.addEventListener("click", async () => {
+  const selected = Array.from(selectedCourseIds)
+    .map((id) => lastCourses.find((c) => c.id === id))
+    .filter(Boolean);
+  if (!selected.length) {
     alert("Select at least one course with availability.");
     return;
   }
+  // Like a real send, a scheduled one goes to reviewed recipients only
+  if (selected.some((c) => !currentReview(c))) {
+    await openReview(selected);
+    setReviewStatus(
+      "Check the recipients below, then click Schedule again.",
+    );
+    return;
+  }
+  const courses = selected.filter((c) => currentReview(c).approved.size);
+  if (courses.length < selected.length) {
+    setReviewStatus(
+      `${selected.length - courses.length} course(s) with nobody approved ` +
+        "are left out.",
+    );
+  }
+  if (!courses.length) return;
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const resp = await chrome.runtime.sendMessage({
+    type: "SCHEDULE_SEND",
+    spec: {
+      runAt: fromLocalInput(scheduleAtEl?.value),
+      host: new URL(tab.url).host,
+      courses,
+      draft: getDraft(),
+      options: {
+        ...sendModePayload(),
+        ...groupsPayload(courses),
+        ...approvedPayload(courses),
+      },
+    },
+  });
+  if (!resp?.ok) {
+    showScheduleError(resp?.error);
+    return;
+  }
+  scheduleStatusEl.textContent = `Scheduled ${courses.length} course(s) for ` +
+    `${new Date(resp.entry.runAt).toLocaleString()}. Availability is ` +
+    "checked again when it runs.";
+  refreshScheduled();
+});
 
-  // Lock UI and init chunk-based progress
+/* =========================
+   Send job (runs in the background service worker)
+   ========================= */
+const JOB_FAILED = new Set(["failed", "interrupted"]);
+let currentJob = null;
+let liveJobId = null; // a job this popup has seen running
+
+function renderJobSummary(job) {
+  if (!jobStatusEl) return;
+  const count = (st) => job.courses.filter((e) => e.status === st).length;
+  const finished = job.courses.length - count("pending") - count("running");
+  const head = job.status === "running"
+    ? `${job.options.dryRun ? "Dry run" : "Sending"}: ` +
+      `${finished}/${job.courses.length} course(s) finished`
+    : `Last ${job.options.dryRun ? "dry run" : "send"} ` +
+      `${job.status} at ${fmtTime(job.finishedAt)}`;
+  jobStatusEl.innerHTML = `<div><strong>${escapeHtml(head)}</strong></div>` +
+    `<ul>${
+      job.courses.map((e) => {
+        const label = e.course.course_code || e.course.name || e.course.id;
+        const text = `${escapeHtml(label)}: ${escapeHtml(e.message || "")}`;
+        return `<li>${
+          JOB_FAILED.has(e.status) ? `<span class="error">${text}</span>` : text
+        }</li>`;
+      }).join("")
+    }</ul>`;
+}
+
+// Mirrors a job onto the popup: progress, summary and the final reports.
+// Course cards only follow jobs watched live, so a run that ended while the
+// popup was closed doesn't overwrite fresh availability. Safe to call
+// repeatedly with the same job.
+function renderJob(job) {
+  if (!job) return;
+  currentJob = job;
+  const running = job.status === "running";
+  if (running) liveJobId = job.id;
+  const live = job.id === liveJobId;
+  if (running) sendSelectedBtn?.setAttribute("disabled", "true");
+  else sendSelectedBtn?.removeAttribute("disabled");
+  if (cancelJobBtn) {
+    cancelJobBtn.style.display = running ? "inline-block" : "none";
+    cancelJobBtn.disabled = !!job.cancelRequested;
+  }
+  showProgress(running);
+  if (running) updateOverallProgress(job);
+  renderJobSummary(job);
+
+  for (const entry of live ? job.courses : []) {
+    const statusEl = document.getElementById(`avail-${entry.course.id}`);
+    const ck = document.getElementById(`ck-${entry.course.id}`);
+    if (running) ck?.setAttribute("disabled", "true");
+    else ck?.removeAttribute("disabled");
+    if (entry.status === "pending" || !statusEl) continue;
+    statusEl.innerHTML = JOB_FAILED.has(entry.status)
+      ? `<span class="error">${escapeHtml(entry.message)}</span>`
+      : escapeHtml(entry.message);
+  }
+  if (running) return;
+
+  if (job.options.dryRun) {
+    renderDryRunReport(job.courses.map((e) =>
+      e.status === "done"
+        ? { course: e.course, sections: e.report || [] }
+        : { course: e.course, error: e.message }
+    ));
+    return;
+  }
+  renderRecipientReport(
+    job.courses.filter((e) => e.recipients?.length).map((e) => ({
+      course: e.course,
+      recipients: e.recipients,
+    })),
+  );
+  if (!live) return;
+  liveJobId = null;
+  // After success, unselect
+  for (const entry of job.courses) {
+    if (entry.status !== "done") continue;
+    const ck = document.getElementById(`ck-${entry.course.id}`);
+    if (ck) ck.checked = false;
+    selectedCourseIds.delete(entry.course.id);
+    selectedGroupsByCourseId.delete(entry.course.id);
+    reviews.delete(entry.course.id);
+    const picker = document.getElementById(`groups-${entry.course.id}`);
+    if (picker) picker.innerHTML = "";
+  }
+  updatePreview(); // update preview after selection changes
+  renderReview(job.courses.map((e) => e.course));
+}
+
+// Hands `courses` to the background job runner (the Canvas tab in front
+// executes) and starts mirroring the job
+async function startSendJob(courses, options) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  renderDryRunReport([]);
+  renderRecipientReport([]);
   sendSelectedBtn.setAttribute("disabled", "true");
-  resetProgressModel();
-  showProgress(true);
-  updateOverallProgress(); // start indeterminate until plans arrive
 
-  let done = 0;
+  const resp = await chrome.runtime.sendMessage({
+    type: "START_SEND_JOB",
+    spec: {
+      tabId: tab.id,
+      host: new URL(tab.url).host,
+      courses,
+      draft: getDraft(),
+      options,
+    },
+  });
+  if (!resp?.ok) {
+    sendSelectedBtn.removeAttribute("disabled");
+    if (jobStatusEl) {
+      jobStatusEl.innerHTML = `<span class="error">${
+        escapeHtml(resp?.error || "Could not start the send.")
+      }</span>`;
+    }
+    return;
+  }
+  renderJob(resp.job);
+}
 
-  try {
-    for (const courseId of ids) {
-      const course = lastCourses.find((c) => c.id === courseId);
-      if (!course) {
-        done++;
-        setProgress(done, ids.length);
-        continue;
-      }
+sendSelectedBtn?.addEventListener("click", async () => {
+  const selected = Array.from(selectedCourseIds)
+    .map((id) => lastCourses.find((c) => c.id === id))
+    .filter(Boolean);
+  if (!selected.length) {
+    alert("Select at least one course with availability.");
+    return;
+  }
+  const dryRun = !!dryRunToggleEl?.checked;
+  // Real sends go to reviewed recipients only; a dry run uses the review
+  // when there is one
+  if (!dryRun && selected.some((c) => !currentReview(c))) {
+    await openReview(selected);
+    setReviewStatus(
+      "Check the recipients below, then click Send link to selected again.",
+    );
+    return;
+  }
+  const courses = selected.filter((c) =>
+    !currentReview(c) || currentReview(c).approved.size
+  );
+  if (courses.length < selected.length) {
+    setReviewStatus(
+      `${selected.length - courses.length} course(s) with nobody approved ` +
+        "are left out.",
+    );
+  }
+  if (!courses.length) return;
+  startSendJob(courses, {
+    dryRun,
+    ...sendModePayload(),
+    ...groupsPayload(courses),
+    ...approvedPayload(courses),
+  });
+});
 
-      const statusEl = document.getElementById(`avail-${course.id}`);
-      const ck = document.getElementById(`ck-${course.id}`);
+cancelJobBtn?.addEventListener("click", async () => {
+  cancelJobBtn.disabled = true;
+  const resp = await chrome.runtime.sendMessage({ type: "CANCEL_SEND_JOB" });
+  renderJob(resp?.job);
+});
 
-      // Disable row control during send
-      ck?.setAttribute("disabled", "true");
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === "JOB_UPDATE") renderJob(msg.job);
+});
 
-      try {
-        await handleSendLinkForCourse(course, statusEl);
-        // After success, unselect + disable
-        if (ck) ck.checked = false;
-        selectedCourseIds.delete(course.id);
-      } catch (e) {
-        if (statusEl) statusEl.innerHTML = `<span class="error">${String(e)}`;
-        // Leave checkbox unchecked so user can retry later
-      }
+// Reattach to a job that kept running (or finished) while the popup was shut
+document.addEventListener("DOMContentLoaded", async () => {
+  const resp = await chrome.runtime.sendMessage({ type: "GET_ACTIVE_JOB" });
+  renderJob(resp?.job);
+});
+
+/* =========================
+   Test send to myself (no claims, real transport)
+   ========================= */
+const testCourseEl = document.getElementById("testCourse");
+const testSendBtn = document.getElementById("testSendBtn");
+const testStatusEl = document.getElementById("testStatus");
+
+function populateTestCourseSelect() {
+  if (!testCourseEl) return;
+  testCourseEl.innerHTML = lastCourses.map((c) =>
+    `<option value="${c.id}">${
+      escapeHtml(c.course_code || c.name || c.id)
+    }</option>`
+  ).join("");
+}
+
+// The message of the first section (or picked group) the course would send
+// to, rendered like the job renders it: join link, term, sender name. In
+// personalized mode a whole-course send fills {section_name} per student;
+// the test shows it with the course's first section (fetched when the
+// availability check hasn't listed the sections yet).
+async function renderTestMessage(tab, course, host, senderName) {
+  const groups = selectedGroupsByCourseId.get(course.id);
+  const avail = availabilityByCourseId.get(course.id);
+  const sections = groups?.size ? [] : avail?.sections ||
+    await loadSectionsFromContent(tab.id, course.id).catch(() => []);
+  const names = groups?.size
+    ? groups
+    : new Map(sections.map((x) => [Number(x.id), x.name]));
+  let first = groups?.size
+    ? groups.keys().next().value
+    : avail?.remainingSectionIds?.[0] ?? Number(sections[0]?.id ?? 0);
+  if (!first && isPersonalized()) first = Number(sections[0]?.id ?? 0);
+  const { messages } = renderCourseMessages({
+    draft: getDraft(),
+    host,
+    course,
+    sectionIds: [first],
+    sectionNames: names,
+    senderName,
+    perRecipient: isPersonalized(),
+    linkSettings,
+  });
+  return { ...messages.get(first), renderedFor: first ? names.get(first) : "" };
+}
 
-      done++;
-      setProgress(done, ids.length);
-      await new Promise((r) => setTimeout(r, 300)); // tiny spacing
+testSendBtn?.addEventListener("click", async () => {
+  const course = lastCourses.find((c) => c.id === Number(testCourseEl?.value));
+  if (!course) {
+    testStatusEl.textContent = "Load your courses first.";
+    return;
+  }
+  testSendBtn.disabled = true;
+  testStatusEl.textContent = "Sending a test to you…";
+  try {
+    const tab = await canvasTab();
+    const host = new URL(tab.url).host;
+    const draft = getDraft();
+    assertAttachmentHost(draft, host);
+    const csrfResp = await chrome.runtime.sendMessage({
+      type: "GET_LATEST_CSRF",
+    });
+    if (!csrfResp?.csrf) {
+      throw new Error(
+        "Missing CSRF. Send one message in Canvas Inbox UI to prime, then try again.",
+      );
     }
+    const me = await getCurrentUser(tab);
+    const message = await renderTestMessage(
+      tab,
+      course,
+      host,
+      me?.short_name || me?.name || "",
+    );
+    const termLabel = getTermLabel(course);
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "SEND_TEST_TO_SELF",
+      courseId: course.id,
+      subject: message.subject,
+      body: message.body,
+      attachmentIds: draft.attachment ? [draft.attachment.id] : [],
+      csrfToken: csrfResp.csrf,
+      personalized: isPersonalized(),
+      audit: {
+        courseCode: course.course_code || null,
+        courseName: course.name || null,
+        termKey: termLabel ? toTermKey(termLabel) : null,
+        termLabel,
+      },
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Test send failed");
+    testStatusEl.textContent = `Test sent to ${resp.recipient}` +
+      (message.renderedFor ? ` as ${message.renderedFor} gets it` : "") +
+      (resp.transport ? ` via ${resp.transport}` : "") +
+      ". Check your Canvas Inbox.";
+  } catch (e) {
+    testStatusEl.innerHTML = `<span class="error">${
+      escapeHtml(String(e?.message || e))
+    }</span>`;
   } finally {
-    showProgress(false);
-    sendSelectedBtn.removeAttribute("disabled");
-    updatePreview(); // update preview after selection changes
+    testSendBtn.disabled = false;
   }
 });
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg?.type === "SEND_PLAN") {
-    const { courseId, totalChunks } = msg;
-    let pc = progressModel.perCourse.get(courseId);
-    if (!pc) {
-      pc = { totalChunks: 0, sentChunks: 0 };
-      progressModel.perCourse.set(courseId, pc);
-    }
-    if (!pc.totalChunks) {
-      pc.totalChunks = totalChunks;
-      progressModel.totalChunksPlanned += totalChunks;
+/* =========================
+   Recipient review (who gets it, before anything is POSTed)
+   ========================= */
+const reviewBtn = document.getElementById("reviewBtn");
+const reviewStatusEl = document.getElementById("reviewStatus");
+const reviewPanelEl = document.getElementById("reviewPanel");
+// courseId -> { key: targetsKey, people: [...REVIEW_RECIPIENTS rows],
+//               approved: Set(userId) }
+const reviews = new Map();
+let reviewSearch = "";
+
+function setReviewStatus(text) {
+  if (reviewStatusEl) reviewStatusEl.textContent = text || "";
+}
+
+// A review only counts while the course still targets what was reviewed
+function currentReview(course) {
+  const review = reviews.get(course.id);
+  return review?.key === targetsKey(course) ? review : null;
+}
+
+// { approved: { "<courseId>": [userIds] } } for the job options
+function approvedPayload(courses) {
+  const approved = {};
+  for (const c of courses) {
+    const review = currentReview(c);
+    if (review) approved[c.id] = Array.from(review.approved);
+  }
+  return Object.keys(approved).length ? { approved } : {};
+}
+
+async function openReview(courses) {
+  if (!reviewPanelEl) return;
+  setReviewStatus("Resolving recipients…");
+  try {
+    const tab = await canvasTab();
+    for (const course of courses) {
+      if (currentReview(course)) continue;
+      const resp = await chrome.tabs.sendMessage(tab.id, {
+        type: "REVIEW_RECIPIENTS",
+        courseId: course.id,
+        ...sendTargets(course),
+      });
+      if (!resp?.ok) throw new Error(resp?.error || "Roster failed");
+      reviews.set(course.id, {
+        key: targetsKey(course),
+        people: resp.people,
+        approved: new Set(resp.people.map((p) => p.id)),
+      });
     }
-    updateOverallProgress();
+    setReviewStatus("");
+    renderReview(courses);
+  } catch (e) {
+    setReviewStatus("");
+    reviewPanelEl.innerHTML = `<span class="error">${
+      escapeHtml(String(e?.message || e))
+    }</span>`;
+  }
+}
+
+function reviewMatches(person) {
+  return !reviewSearch ||
+    person.name.toLowerCase().includes(reviewSearch.toLowerCase());
+}
+
+function renderReview(courses) {
+  if (!reviewPanelEl) return;
+  const shown = courses.filter((c) => currentReview(c));
+  if (!shown.length) {
+    reviewPanelEl.innerHTML = "";
+    return;
   }
+  reviewPanelEl.innerHTML = `
+    <h4 style="margin:10px 0 4px;">Review recipients</h4>
+    <div class="small" style="display:flex; gap:6px; align-items:center;">
+      <input type="search" id="reviewSearchInput" placeholder="Search by name"
+        value="${escapeHtml(reviewSearch)}" />
+      <button class="link-btn review-bulk" data-on="1">Tick shown</button>
+      <button class="link-btn review-bulk" data-on="">Untick shown</button>
+    </div>` + shown.map((course) => {
+    const review = currentReview(course);
+    const groups = selectedGroupsByCourseId.get(course.id);
+    const label = course.course_code || course.name || course.id;
+    const rows = review.people.filter(reviewMatches).map((p) => {
+      const where = p.groupIds
+        ? p.groupIds.map((gid) => groups?.get(gid) || `Group ${gid}`)
+          .join("; ")
+        : p.sections;
+      return `<label class="small" style="display:block;">
+        <input type="checkbox" class="review-check"
+          data-courseid="${course.id}" data-userid="${p.id}"${
+        review.approved.has(p.id) ? " checked" : ""
+      } />
+        ${escapeHtml(p.name || p.id)}
+        <span class="muted">· ${escapeHtml(where)}${
+        p.state ? ` · ${escapeHtml(p.state)}` : ""
+      }</span>
+      </label>`;
+    }).join("");
+    return `<details class="report-card" open>
+      <summary><strong>${escapeHtml(label)}</strong> —
+        <span id="review-count-${course.id}">${review.approved.size}</span>
+        of ${review.people.length} approved</summary>
+      <div class="course-people">${
+      rows || `<div class="small"><em>Nobody matches.</em></div>`
+    }</div>
+    </details>`;
+  }).join("");
+
+  const searchEl = document.getElementById("reviewSearchInput");
+  searchEl?.addEventListener("input", () => {
+    reviewSearch = searchEl.value;
+    renderReview(courses);
+    const again = document.getElementById("reviewSearchInput");
+    again?.focus();
+    again?.setSelectionRange(reviewSearch.length, reviewSearch.length);
+  });
+  const setApproved = (box, on) => {
+    const review = reviews.get(Number(box.dataset.courseid));
+    const id = Number(box.dataset.userid);
+    if (on) review.approved.add(id);
+    else review.approved.delete(id);
+    box.checked = on;
+    const count = document.getElementById(
+      `review-count-${box.dataset.courseid}`,
+    );
+    if (count) count.textContent = String(review.approved.size);
+  };
+  reviewPanelEl.querySelectorAll(".review-check").forEach((box) => {
+    box.addEventListener("change", () => setApproved(box, box.checked));
+  });
+  reviewPanelEl.querySelectorAll(".review-bulk").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      reviewPanelEl.querySelectorAll(".review-check").forEach((box) =>
+        setApproved(box, !!btn.dataset.on)
+      );
+    });
+  });
+}
+
+reviewBtn?.addEventListener("click", () => {
+  const courses = Array.from(selectedCourseIds)
+    .map((id) => lastCourses.find((c) => c.id === id))
+    .filter(Boolean);
+  if (!courses.length) {
+    alert("Select at least one course with availability.");
+    return;
+  }
+  openReview(courses);
+});
+
+/* =========================
+   Send history (local audit log, see audit.js)
+   ========================= */
+const historyTermEl = document.getElementById("historyTerm");
+const historyCourseEl = document.getElementById("historyCourse");
+const historyStatusEl = document.getElementById("historyStatus");
+const historyListEl = document.getElementById("historyList");
+const HISTORY_SHOWN = 50;
+let historyLog = { entries: [], texts: {} };
+
+const historyCourseKey = (e) => `${e.origin}|${e.courseId}`;
+
+// Keeps the current choice when it still exists
+function fillHistorySelect(el, anyLabel, options) {
+  const prev = el.value;
+  el.innerHTML = `<option value="">${escapeHtml(anyLabel)}</option>` +
+    options.map(([value, label]) =>
+      `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+    ).join("");
+  if (options.some(([value]) => value === prev)) el.value = prev;
+}
+
+function filteredHistory() {
+  const term = historyTermEl?.value || "";
+  const course = historyCourseEl?.value || "";
+  const status = historyStatusEl?.value || "";
+  return historyLog.entries.filter((e) =>
+    (!term || e.termKey === term) &&
+    (!course || historyCourseKey(e) === course) &&
+    (!status || e.status === status)
+  );
+}
 
-  if (msg?.type === "SEND_CHUNK_DONE") {
-    const { courseId, chunk, totalChunks } = msg;
-    let pc = progressModel.perCourse.get(courseId);
-    if (!pc) {
-      pc = { totalChunks: totalChunks || 0, sentChunks: 0 };
-      progressModel.perCourse.set(courseId, pc);
-      if (pc.totalChunks) progressModel.totalChunksPlanned += pc.totalChunks;
+function renderHistory() {
+  if (!historyListEl) return;
+  const rows = filteredHistory().slice(-HISTORY_SHOWN).reverse();
+  if (!rows.length) {
+    historyListEl.innerHTML =
+      `<div class="small"><em>No sends recorded yet.</em></div>`;
+    return;
+  }
+  historyListEl.innerHTML = rows.map((e) => {
+    const where = [e.courseCode || e.courseName || e.courseId, e.sectionName]
+      .filter(Boolean).join(" · ");
+    const via = e.fallbackFrom
+      ? `${e.transport} (after ${e.fallbackFrom})`
+      : e.transport || "";
+    return `
+    <div class="report-card">
+      <strong>${escapeHtml(new Date(e.at).toLocaleString())}</strong>
+      · ${
+      e.status === "sent"
+        ? "sent"
+        : `<span class="error">failed</span>`
+    } · ${escapeHtml(where)}
+      <div class="small">${e.recipientIds.length} recipient(s) · ${
+      escapeHtml(e.mode)
+    } · ${escapeHtml(via)}</div>
+      <div class="small">Subject: ${
+      escapeHtml(historyLog.texts[e.subjectHash] || "(none)")
+    }</div>
+      ${
+      e.error ? `<div class="small error">${escapeHtml(e.error)}</div>` : ""
     }
-    pc.sentChunks = Math.max(pc.sentChunks || 0, chunk || 0);
-    recomputeSentChunks();
-    updateOverallProgress();
+    </div>`;
+  }).join("");
+}
+
+async function refreshHistory() {
+  if (!historyListEl) return;
+  historyLog = await loadAudit();
+  const terms = new Map();
+  const courses = new Map();
+  for (const e of historyLog.entries) {
+    if (e.termKey) terms.set(e.termKey, e.termLabel || e.termKey);
+    courses.set(
+      historyCourseKey(e),
+      e.courseCode || e.courseName || `Course ${e.courseId}`,
+    );
+  }
+  fillHistorySelect(historyTermEl, "All terms", [...terms]);
+  fillHistorySelect(historyCourseEl, "All courses", [...courses]);
+  renderHistory();
+}
+
+[historyTermEl, historyCourseEl, historyStatusEl].forEach((el) =>
+  el?.addEventListener("change", renderHistory)
+);
+
+// Exports what the filters show, all of it (not just the visible rows)
+function exportHistory(format) {
+  const rows = auditRows(filteredHistory(), historyLog.texts);
+  if (!rows.length) {
+    alert("Nothing to export.");
+    return;
+  }
+  downloadRows(
+    `courselynx-history-${new Date().toISOString().slice(0, 10)}`,
+    rows,
+    format,
+  );
+}
+document.getElementById("historyCsvBtn")?.addEventListener(
+  "click",
+  () => exportHistory("csv"),
+);
+document.getElementById("historyJsonBtn")?.addEventListener(
+  "click",
+  () => exportHistory("json"),
+);
+
+// background.js appends while a job runs; follow along
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.auditIndex) refreshHistory();
+});
+document.addEventListener("DOMContentLoaded", refreshHistory);
+
+/* =========================
+   Opt-outs (suppression list in the claim store, shared by the team)
+   ========================= */
+// --- Dismissed opt-out suggestions schema in storage.local ---
+// { optOutDismissed: { "<canvas host>": [<Canvas user id>] } | undefined }
+const optOutListEl = document.getElementById("optOutList");
+const optOutStatusEl = document.getElementById("optOutStatus");
+const optOutSuggestionsEl = document.getElementById("optOutSuggestions");
+const scanRepliesBtn = document.getElementById("scanRepliesBtn");
+
+async function canvasTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !(await isCanvasUrl(tab.url || ""))) {
+    throw new Error("Open this on a Canvas page.");
   }
+  return tab;
+}
+
+async function suppressUser(tab, { userId, userName, reason, source }) {
+  const me = await getCurrentUser(tab).catch(() => null);
+  await addSuppression({
+    canvasDomain: new URL(tab.url).host,
+    userId,
+    userName,
+    reason,
+    source,
+    addedBy: me?.primary_email || me?.name || null,
+  });
+}
+
+function showOptOutError(e) {
+  if (optOutStatusEl) {
+    optOutStatusEl.innerHTML = `<span class="error">${
+      escapeHtml(String(e?.message || e))
+    }</span>`;
+  }
+}
+
+async function refreshOptOuts() {
+  if (!optOutListEl) return;
+  try {
+    const tab = await canvasTab();
+    const host = new URL(tab.url).host;
+    const rows = await getSuppressions({ canvasDomain: host });
+    optOutListEl.innerHTML = rows.length
+      ? rows.map((r) => `
+        <div class="small" data-userid="${r.user_id}">
+          ${escapeHtml(r.user_name || `User ${r.user_id}`)}
+          <span class="muted">· ${
+        escapeHtml(r.source === "reply" ? "replied" : "added")
+      }${r.added_by ? ` by ${escapeHtml(r.added_by)}` : ""}</span>
+          <button class="link-btn optout-remove">Remove</button>
+        </div>`).join("")
+      : `<div class="small"><em>Nobody has opted out on ${
+        escapeHtml(host)
+      }.</em></div>`;
+    optOutListEl.querySelectorAll(".optout-remove").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const userId = Number(btn.parentElement.dataset.userid);
+        try {
+          await removeSuppression({ canvasDomain: host, userId });
+        } catch (e) {
+          showOptOutError(e);
+        }
+        refreshOptOuts();
+      });
+    });
+  } catch (e) {
+    optOutListEl.innerHTML = "";
+    showOptOutError(e);
+  }
+}
+document.addEventListener("DOMContentLoaded", refreshOptOuts);
+
+// Roster of one course (or the section picked next to Roster) with a
+// toggle per person; rows come from EXPORT_ROSTER and show its filters.
+async function toggleRosterPeople(courseId) {
+  const el = document.getElementById(`people-${courseId}`);
+  if (!el) return;
+  if (el.innerHTML) {
+    el.innerHTML = "";
+    return;
+  }
+  const sectionId = Number(
+    document.getElementById(`roster-sec-${courseId}`)?.value,
+  ) || null;
+  el.innerHTML = `<div class="small">Loading roster…</div>`;
+  try {
+    const tab = await canvasTab();
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "EXPORT_ROSTER",
+      courseId,
+      sectionId,
+      targeting: currentTargeting(),
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Roster failed");
+    const people = resp.rows.filter((r) =>
+      !r.excluded || r.excluded === "opted out"
+    );
+    el.innerHTML = people.map((r) => `
+      <div class="small" data-userid="${r.canvas_user_id}"
+        data-name="${escapeHtml(r.name)}">
+        ${escapeHtml(r.name || r.canvas_user_id)}
+        <button class="link-btn people-toggle">${
+      r.excluded ? "Allow again" : "Opt out"
+    }</button>
+      </div>`).join("") ||
+      `<div class="small"><em>No students.</em></div>`;
+    el.querySelectorAll(".people-toggle").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const row = btn.parentElement;
+        const userId = Number(row.dataset.userid);
+        btn.disabled = true;
+        try {
+          if (btn.textContent === "Opt out") {
+            await suppressUser(tab, {
+              userId,
+              userName: row.dataset.name,
+              reason: "added from roster",
+              source: "manual",
+            });
+          } else {
+            await removeSuppression({
+              canvasDomain: new URL(tab.url).host,
+              userId,
+            });
+          }
+          btn.textContent = btn.textContent === "Opt out"
+            ? "Allow again"
+            : "Opt out";
+        } catch (e) {
+          showOptOutError(e);
+        }
+        btn.disabled = false;
+        refreshOptOuts();
+      });
+    });
+  } catch (e) {
+    el.innerHTML = `<span class="error">${escapeHtml(String(e))}</span>`;
+  }
+}
+
+async function dismissedFor(host) {
+  const { optOutDismissed } = await chrome.storage.local.get([
+    "optOutDismissed",
+  ]);
+  return new Set(optOutDismissed?.[host] || []);
+}
+
+async function dismissSuggestion(host, userId) {
+  const { optOutDismissed = {} } = await chrome.storage.local.get([
+    "optOutDismissed",
+  ]);
+  optOutDismissed[host] = [...(optOutDismissed[host] || []), userId];
+  await chrome.storage.local.set({ optOutDismissed });
+}
+
+// Conversations we started on this host (send history) are checked for
+// replies like "stop"; matches are suggested, never added on their own
+scanRepliesBtn?.addEventListener("click", async () => {
+  scanRepliesBtn.disabled = true;
+  optOutStatusEl.textContent = "Scanning replies…";
+  optOutSuggestionsEl.innerHTML = "";
+  try {
+    const tab = await canvasTab();
+    const { host, origin } = new URL(tab.url);
+    const { entries } = await loadAudit();
+    const conversationIds = entries
+      .filter((e) => e.status === "sent" && e.origin === origin)
+      .flatMap((e) => e.conversationIds);
+    const resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "SCAN_OPT_OUT_REPLIES",
+      conversationIds,
+    });
+    if (!resp?.ok) throw new Error(resp?.error || "Scan failed");
+    const [suppressed, dismissed] = await Promise.all([
+      getSuppressions({ canvasDomain: host }),
+      dismissedFor(host),
+    ]);
+    const known = new Set(suppressed.map((r) => Number(r.user_id)));
+    const suggestions = resp.suggestions.filter((x) =>
+      !known.has(x.userId) && !dismissed.has(x.userId)
+    );
+    optOutStatusEl.textContent = suggestions.length
+      ? `${suggestions.length} repl(ies) look like opt-outs:`
+      : "No new opt-out replies.";
+    optOutSuggestionsEl.innerHTML = suggestions.map((x) => `
+      <div class="report-card" data-userid="${x.userId}">
+        <strong>${escapeHtml(x.name || `User ${x.userId}`)}</strong>
+        <span class="muted">· ${
+      escapeHtml(new Date(x.at).toLocaleString())
+    }</span>
+        <div class="report-body">${escapeHtml(x.excerpt)}</div>
+        <button class="link-btn suggestion-add">Add to opt-outs</button>
+        <button class="link-btn suggestion-dismiss">Dismiss</button>
+      </div>`).join("");
+    optOutSuggestionsEl.querySelectorAll(".report-card").forEach((card) => {
+      const x = suggestions.find((s) =>
+        s.userId === Number(card.dataset.userid)
+      );
+      card.querySelector(".suggestion-add").addEventListener(
+        "click",
+        async () => {
+          try {
+            await suppressUser(tab, {
+              userId: x.userId,
+              userName: x.name,
+              reason: x.excerpt,
+              source: "reply",
+            });
+            card.remove();
+          } catch (e) {
+            showOptOutError(e);
+          }
+          refreshOptOuts();
+        },
+      );
+      card.querySelector(".suggestion-dismiss").addEventListener(
+        "click",
+        async () => {
+          await dismissSuggestion(host, x.userId);
+          card.remove();
+        },
+      );
+    });
+  } catch (e) {
+    showOptOutError(e);
+  } finally {
+    scanRepliesBtn.disabled = false;
+  }
+});
+
+/* =========================
+   Replies (tracked by replies.js in the background)
+   ========================= */
+const repliesStatusEl = document.getElementById("repliesStatus");
+const repliesCoursesEl = document.getElementById("repliesCourses");
+const repliesLatestEl = document.getElementById("repliesLatest");
+const repliesCheckBtn = document.getElementById("repliesCheckBtn");
+
+const UNREAD_DOT = `<span class="unread-dot" title="Unread">●</span>`;
+
+async function refreshReplies() {
+  if (!repliesCoursesEl) return;
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !(await isCanvasUrl(tab.url || ""))) {
+    repliesStatusEl.textContent = "Open a Canvas page to see replies.";
+    return;
+  }
+  const origin = new URL(tab.url).origin;
+  const host = (await loadReplyTracker())[origin];
+  if (!host || !Object.keys(host.conversations).length) {
+    repliesStatusEl.textContent = "No sent messages to track yet.";
+    repliesCoursesEl.innerHTML = "";
+    repliesLatestEl.innerHTML = "";
+    return;
+  }
+
+  repliesStatusEl.innerHTML = host.error
+    ? `<span class="error">Last check failed: ${escapeHtml(host.error)}</span>`
+    : host.polledAt
+    ? `Checked ${escapeHtml(new Date(host.polledAt).toLocaleString())}`
+    : "Not checked yet.";
+
+  repliesCoursesEl.innerHTML = `<ul>${
+    courseReplySummary(host).map((r) =>
+      `<li class="small">${r.unread ? UNREAD_DOT + " " : ""}<strong>${
+        escapeHtml(r.courseCode || r.courseName || `Course ${r.courseId}`)
+      }</strong>: ${r.replies} repl(ies) in ${r.replied} of ` +
+      `${r.conversations} conversation(s)${
+        r.unread ? `, ${r.unread} unread` : ""
+      }</li>`
+    ).join("")
+  }</ul>`;
+
+  const latest = latestReplies(host);
+  repliesLatestEl.innerHTML = latest.map((r) => `
+    <div class="report-card">
+      ${r.unread ? UNREAD_DOT : ""}
+      <strong>${escapeHtml(r.authorName || `User ${r.authorId}`)}</strong>
+      <span class="muted">· ${escapeHtml(r.courseCode)} · ${
+    escapeHtml(new Date(r.at).toLocaleString())
+  }</span>
+      <div class="report-body">${escapeHtml(r.excerpt)}</div>
+      <a class="link-btn" target="_blank"
+        href="${origin}/conversations/${r.conversationId}">Open in Inbox</a>
+    </div>`).join("");
+}
+
+repliesCheckBtn?.addEventListener("click", async () => {
+  repliesCheckBtn.disabled = true;
+  repliesStatusEl.textContent = "Checking…";
+  const resp = await chrome.runtime.sendMessage({ type: "POLL_REPLIES_NOW" });
+  repliesCheckBtn.disabled = false;
+  if (!resp?.ok) {
+    repliesStatusEl.innerHTML = `<span class="error">${
+      escapeHtml(resp?.error || "Check failed")
+    }</span>`;
+    return;
+  }
+  refreshReplies();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.replyTracker) refreshReplies();
 });
+document.addEventListener("DOMContentLoaded", refreshReplies);
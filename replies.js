@@ -0,0 +1,196 @@
+// replies.js  (imported by background.js; popup.js reads the tracker)
+// Reply tracking: the conversations in the send history (audit.js) are
+// polled for messages from their recipients. Polls run on a chrome.alarms
+// timer through an open Canvas tab of each host (a host without one is
+// skipped, no tab is ever opened for it), and the number of conversations
+// with unread replies shows on the toolbar badge.
+//
+// --- Reply tracker schema in storage.local ---
+// {
+//   replyTracker: {
+//     "<canvas origin>": {
+//       polledAt: 1690000000000 | null,
+//       error?: "<why the last poll failed>",
+//       conversations: {
+//         "<conversationId>": {
+//           courseId, courseCode, courseName, sentAt: 1690000000000,
+//           lastMessageAt: "<ISO, newest message Canvas listed>" | null,
+//           unread: false,
+//           replyCount: 0,
+//           latest: [{ messageId, authorId, authorName, excerpt, at }]
+//         }
+//       }
+//     }
+//   } | undefined
+// }
+
+import { loadAudit } from "./audit.js";
+
+const TRACKER_KEY = "replyTracker";
+const REPLY_ALARM = "reply-poll";
+const POLL_MINUTES = 10;
+const TRACK_DAYS = 30; // conversations older than this are dropped
+const LATEST_PER_CONVERSATION = 3;
+
+export async function loadReplyTracker() {
+  const data = await chrome.storage.local.get([TRACKER_KEY]);
+  return data[TRACKER_KEY] || {};
+}
+
+function unreadCount(tracker) {
+  return Object.values(tracker).reduce(
+    (n, host) =>
+      n + Object.values(host.conversations).filter((c) => c.unread).length,
+    0,
+  );
+}
+
+async function saveTracker(tracker) {
+  await chrome.storage.local.set({ [TRACKER_KEY]: tracker });
+  const unread = unreadCount(tracker);
+  await chrome.action.setBadgeText({ text: unread ? String(unread) : "" });
+  await chrome.action.setBadgeBackgroundColor({ color: "#0052cc" });
+}
+
+// Sent conversations from the send history, by origin, within TRACK_DAYS.
+// Test sends went to the sender and have nobody to reply.
+async function sentConversations() {
+  const since = Date.now() - TRACK_DAYS * 24 * 60 * 60 * 1000;
+  const { entries } = await loadAudit();
+  const out = {};
+  for (const e of entries) {
+    if (e.status !== "sent" || e.mode === "test" || e.at < since) continue;
+    for (const id of e.conversationIds) {
+      (out[e.origin] ||= {})[id] = {
+        courseId: e.courseId,
+        courseCode: e.courseCode || null,
+        courseName: e.courseName || null,
+        sentAt: e.at,
+      };
+    }
+  }
+  return out;
+}
+
+// Brings the tracker in line with the send history: new conversations
+// start unseen, expired ones go
+function syncTracked(tracker, sent) {
+  for (const origin of Object.keys(tracker)) {
+    if (!sent[origin]) delete tracker[origin];
+  }
+  for (const [origin, convs] of Object.entries(sent)) {
+    const host = tracker[origin] ||= { polledAt: null, conversations: {} };
+    for (const id of Object.keys(host.conversations)) {
+      if (!convs[id]) delete host.conversations[id];
+    }
+    for (const [id, meta] of Object.entries(convs)) {
+      host.conversations[id] ||= {
+        ...meta,
+        lastMessageAt: null,
+        unread: false,
+        replyCount: 0,
+        latest: [],
+      };
+    }
+  }
+}
+
+async function pollOrigin(origin, host) {
+  const [tab] = await chrome.tabs.query({ url: `${origin}/*` });
+  if (!tab) return; // next time a Canvas tab is open
+  const known = Object.fromEntries(
+    Object.entries(host.conversations).map(([id, c]) => [id, c.lastMessageAt]),
+  );
+  let resp;
+  try {
+    resp = await chrome.tabs.sendMessage(tab.id, {
+      type: "POLL_REPLIES",
+      known,
+    });
+  } catch (e) {
+    resp = { ok: false, error: String(e?.message || e) };
+  }
+  if (!resp?.ok) {
+    host.error = resp?.error || "No answer from the Canvas tab";
+    return;
+  }
+  for (const update of resp.conversations) {
+    const c = host.conversations[update.id];
+    if (!c) continue;
+    c.lastMessageAt = update.lastMessageAt;
+    c.unread = update.unread;
+    c.replyCount += update.replies.length;
+    c.latest = [...update.replies, ...c.latest].slice(
+      0,
+      LATEST_PER_CONVERSATION,
+    );
+  }
+  host.polledAt = Date.now();
+  delete host.error;
+}
+
+// One poll at a time; a second caller shares the running one
+let _polling = null;
+export function pollRepliesNow() {
+  _polling ||= (async () => {
+    const tracker = await loadReplyTracker();
+    syncTracked(tracker, await sentConversations());
+    for (const [origin, host] of Object.entries(tracker)) {
+      await pollOrigin(origin, host);
+    }
+    await saveTracker(tracker);
+    return tracker;
+  })().finally(() => _polling = null);
+  return _polling;
+}
+
+export function handleReplyAlarm(alarm) {
+  if (alarm.name !== REPLY_ALARM) return false;
+  pollRepliesNow().catch((e) => console.warn("reply poll failed", e));
+  return true;
+}
+
+export async function ensureReplyPolling() {
+  const alarm = await chrome.alarms.get(REPLY_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(REPLY_ALARM, { periodInMinutes: POLL_MINUTES });
+  }
+}
+
+// Per-course totals for one origin, busiest first
+export function courseReplySummary(host) {
+  const byCourse = new Map();
+  for (const c of Object.values(host?.conversations || {})) {
+    const row = byCourse.get(c.courseId) || {
+      courseId: c.courseId,
+      courseCode: c.courseCode,
+      courseName: c.courseName,
+      conversations: 0,
+      replied: 0,
+      replies: 0,
+      unread: 0,
+    };
+    row.conversations++;
+    if (c.replyCount) row.replied++;
+    row.replies += c.replyCount;
+    if (c.unread) row.unread++;
+    byCourse.set(c.courseId, row);
+  }
+  return Array.from(byCourse.values())
+    .sort((a, b) => b.unread - a.unread || b.replies - a.replies);
+}
+
+// Newest replies across an origin's conversations
+export function latestReplies(host, limit = 10) {
+  return Object.entries(host?.conversations || {})
+    .flatMap(([id, c]) =>
+      c.latest.map((r) => ({
+        ...r,
+        conversationId: Number(id),
+        courseCode: c.courseCode || c.courseName || `Course ${c.courseId}`,
+        unread: c.unread,
+      }))
+    )
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+    .slice(0, limit);
+}
@@ -0,0 +1,189 @@
+// schedule.js  (imported by background.js)
+// Scheduled sends: a composed batch send parked until a given time. Each one
+// owns a chrome.alarms alarm; when it fires, a tab on the send's Canvas host
+// is found (or opened in the background) and the batch is handed to the job
+// runner, which re-checks availability and claims as usual.
+//
+// --- Scheduled sends schema in storage.local ---
+// {
+//   scheduledSends: [{
+//     id: "<uuid>",
+//     runAt: 1690000000000,
+//     host: "<canvas host>",
+//     courses: [{ id, name, course_code, term }],
+//     draft: { subject, body, attachment? },
+//     options: { mode: "bulk" | "personalized", paceMs, targeting,
+//       groups? },
+//     createdAt: 1690000000000,
+//     error?: "<why the last attempt didn't start>"
+//   }] | undefined
+// }
+
+import { assertAttachmentHost } from "./compose.js";
+import { getJob, startJob } from "./jobs.js";
+
+const SCHEDULE_KEY = "scheduledSends";
+const ALARM_PREFIX = "scheduled-send:";
+const BUSY_RETRY_MS = 5 * 60 * 1000; // another job is running: try again later
+const TAB_READY_TRIES = 30;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function loadScheduled() {
+  const data = await chrome.storage.local.get([SCHEDULE_KEY]);
+  return data[SCHEDULE_KEY] || [];
+}
+
+async function saveScheduled(list) {
+  list.sort((a, b) => a.runAt - b.runAt);
+  await chrome.storage.local.set({ [SCHEDULE_KEY]: list });
+  return list;
+}
+
+// Reloads the list and changes only entry `id`: `change` edits it in place,
+// or returns false to remove it. Writes made from the popup while an alarm
+// waited on a tab or the job runner are kept. Returns the entry, or null
+// when it's gone.
+async function changeScheduled(id, change) {
+  const list = await loadScheduled();
+  const entry = list.find((e) => e.id === id);
+  if (!entry) return null;
+  const keep = change(entry) !== false;
+  await saveScheduled(keep ? list : list.filter((e) => e.id !== id));
+  return keep ? entry : null;
+}
+
+function armAlarm(entry) {
+  // Past times (browser was closed) fire right away
+  chrome.alarms.create(`${ALARM_PREFIX}${entry.id}`, {
+    when: Math.max(entry.runAt, Date.now() + 1000),
+  });
+}
+
+export async function listScheduled() {
+  return loadScheduled();
+}
+
+// spec: { runAt, host, courses, draft, options }
+export async function scheduleSend(spec) {
+  if (!(spec.runAt > Date.now())) {
+    throw new Error("Pick a time in the future.");
+  }
+  if (!spec.courses?.length) throw new Error("No courses to schedule.");
+  assertAttachmentHost(spec.draft, spec.host);
+  const entry = {
+    id: crypto.randomUUID(),
+    runAt: spec.runAt,
+    host: spec.host,
+    courses: spec.courses,
+    draft: spec.draft,
+    options: spec.options || {},
+    createdAt: Date.now(),
+  };
+  const list = await loadScheduled();
+  list.push(entry);
+  await saveScheduled(list);
+  armAlarm(entry);
+  return entry;
+}
+
+// patch: { runAt?, draft? }. A new time also clears the last error.
+export async function updateScheduled(id, patch) {
+  const list = await loadScheduled();
+  const entry = list.find((e) => e.id === id);
+  if (!entry) throw new Error("That scheduled send no longer exists.");
+  if (patch.runAt != null) {
+    if (!(patch.runAt > Date.now())) {
+      throw new Error("Pick a time in the future.");
+    }
+    entry.runAt = patch.runAt;
+    delete entry.error;
+  }
+  if (patch.draft) {
+    assertAttachmentHost(patch.draft, entry.host);
+    entry.draft = patch.draft;
+  }
+  await saveScheduled(list);
+  if (!entry.error) armAlarm(entry);
+  return entry;
+}
+
+export async function cancelScheduled(id) {
+  await chrome.alarms.clear(`${ALARM_PREFIX}${id}`);
+  const list = await loadScheduled();
+  return saveScheduled(list.filter((e) => e.id !== id));
+}
+
+// A tab on the Canvas host whose content script answers
+async function canvasTabFor(host) {
+  const [existing] = await chrome.tabs.query({ url: `https://${host}/*` });
+  const tab = existing ||
+    await chrome.tabs.create({ url: `https://${host}/`, active: false });
+  for (let i = 0; i < TAB_READY_TRIES; i++) {
+    try {
+      const resp = await chrome.tabs.sendMessage(tab.id, { type: "PING" });
+      if (resp?.ok) return tab;
+    } catch {
+      // not loaded / injected yet
+    }
+    await sleep(2000);
+  }
+  throw new Error(`Canvas at ${host} didn't load (signed out?)`);
+}
+
+async function fire(id) {
+  const list = await loadScheduled();
+  const entry = list.find((e) => e.id === id);
+  if (!entry || entry.error) return;
+
+  const current = await getJob();
+  if (current?.status === "running") {
+    const moved = await changeScheduled(id, (e) => {
+      e.runAt = Date.now() + BUSY_RETRY_MS;
+    });
+    if (moved) armAlarm(moved);
+    return;
+  }
+
+  try {
+    const tab = await canvasTabFor(entry.host);
+    // Cancelled or moved to another time (its own alarm) from the popup
+    // while the tab loaded
+    const latest = (await loadScheduled()).find((e) => e.id === id);
+    if (!latest || latest.error || latest.runAt !== entry.runAt) return;
+    await startJob({
+      tabId: tab.id,
+      host: latest.host,
+      courses: latest.courses,
+      draft: latest.draft,
+      options: { ...latest.options, dryRun: false },
+    });
+  } catch (e) {
+    // Stays listed so it can be rescheduled from the popup
+    await changeScheduled(id, (x) => {
+      x.error = String(e?.message || e);
+    });
+    return;
+  }
+  await changeScheduled(id, () => false);
+}
+
+export function handleAlarm(alarm) {
+  if (!alarm.name.startsWith(ALARM_PREFIX)) return false;
+  fire(alarm.name.slice(ALARM_PREFIX.length)).catch((e) =>
+    console.warn("scheduled send failed", e)
+  );
+  return true;
+}
+
+// Alarms normally survive restarts; re-arm any that went missing
+export async function syncScheduleAlarms() {
+  const list = await loadScheduled();
+  for (const entry of list) {
+    if (entry.error) continue;
+    const alarm = await chrome.alarms.get(`${ALARM_PREFIX}${entry.id}`);
+    if (!alarm) armAlarm(entry);
+  }
+}
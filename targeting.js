@@ -0,0 +1,42 @@
+// targeting.js  (module; used by popup.js and the background job runner)
+// Who a send goes to: which Canvas enrollment types, in which states.
+// content.js maps this onto the roster endpoints and still drops self and
+// test students whatever is chosen.
+
+export const ENROLLMENT_TYPES = [
+  { key: "student", label: "Students" },
+  { key: "ta", label: "TAs" },
+  { key: "teacher", label: "Teachers" },
+  { key: "designer", label: "Designers" },
+  { key: "observer", label: "Observers" },
+];
+
+export const ENROLLMENT_STATES = [
+  { key: "active", label: "Active" },
+  { key: "invited", label: "Invited" },
+  { key: "completed", label: "Completed" },
+];
+
+// What every send used before targeting was configurable
+export const DEFAULT_TARGETING = { types: ["student"], states: ["active"] };
+
+// Known keys only, in list order; an empty choice falls back to the default
+export function normalizeTargeting(targeting) {
+  const pick = (values, known) =>
+    known.map((k) => k.key).filter((key) => values?.includes(key));
+  const types = pick(targeting?.types, ENROLLMENT_TYPES);
+  const states = pick(targeting?.states, ENROLLMENT_STATES);
+  return {
+    types: types.length ? types : DEFAULT_TARGETING.types,
+    states: states.length ? states : DEFAULT_TARGETING.states,
+  };
+}
+
+// "Students, TAs (active, invited)"
+export function describeTargeting(targeting) {
+  const { types, states } = normalizeTargeting(targeting);
+  const label = (list, key) => list.find((x) => x.key === key).label;
+  return `${types.map((k) => label(ENROLLMENT_TYPES, k)).join(", ")} (${
+    states.map((k) => label(ENROLLMENT_STATES, k).toLowerCase()).join(", ")
+  })`;
+}
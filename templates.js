@@ -0,0 +1,119 @@
+// templates.js  (loaded by popup.html and options.html as a module)
+// User-managed library of subject/body templates, persisted in storage.local
+// and shareable as JSON. The 14 original intros form the default pack.
+
+import { DEFAULT_SUBJECT } from "./compose.js";
+
+// --- Template library schema in storage.local ---
+// {
+//   templateLibrary: [
+//     { id, name, subject, body, tags: ["intro", ...] }, ...
+//   ] | undefined   (undefined = default pack)
+// }
+const LIBRARY_KEY = "templateLibrary";
+const EXPORT_VERSION = 1;
+
+const DEFAULT_INTROS = [
+  "Hey, I’m sharing the group chat link to the whole class—here it is:",
+  "Hi all, Here’s the group chat for our class:",
+  "Hey everyone, Just sharing the group chat link. Join here:",
+  "Hi guys, This is the group chat link for our class:",
+  "Hey all, Here’s the link to our class group chat:",
+  "Hey, Just passing along the group chat link to the class:",
+  "Hey everyone, Here’s the group chat for our class:",
+  "Hey everyone, This is the link to the class group chat:",
+  "Hi all, Sharing the group chat link for our class:",
+  "Hey, Here’s the chat link for our class:",
+  "Hey, I’m sharing the group chat link with everyone:",
+  "Hi everyone, Here’s the chat link for the class:",
+  "Hey all, This is the class group chat link:",
+  "Hi guys, I found the class chat, here is the link:",
+];
+
+export function defaultTemplates() {
+  return DEFAULT_INTROS.map((intro, i) => ({
+    id: `default-${i + 1}`,
+    name: `Intro ${i + 1}`,
+    subject: DEFAULT_SUBJECT,
+    body: `${intro} {join_link}`,
+    tags: ["default"],
+  }));
+}
+
+function newTemplateId() {
+  return `tpl-${crypto.randomUUID()}`;
+}
+
+// Coerce anything template-shaped (storage, imports) into a clean record
+function normalizeTemplate(t) {
+  if (!t || typeof t !== "object") return null;
+  const body = typeof t.body === "string" ? t.body : "";
+  if (!body.trim()) return null;
+  const tags = Array.isArray(t.tags)
+    ? t.tags
+    : String(t.tags || "").split(",");
+  return {
+    id: typeof t.id === "string" && t.id ? t.id : newTemplateId(),
+    name: String(t.name || body.slice(0, 40)).trim(),
+    subject: typeof t.subject === "string" ? t.subject : DEFAULT_SUBJECT,
+    body,
+    tags: Array.from(
+      new Set(tags.map((x) => String(x).trim().toLowerCase()).filter(Boolean)),
+    ),
+  };
+}
+
+export async function loadTemplates() {
+  const data = await chrome.storage.local.get([LIBRARY_KEY]);
+  const stored = data[LIBRARY_KEY];
+  if (!Array.isArray(stored)) return defaultTemplates();
+  return stored.map(normalizeTemplate).filter(Boolean);
+}
+
+export async function saveTemplates(list) {
+  const clean = list.map(normalizeTemplate).filter(Boolean);
+  await chrome.storage.local.set({ [LIBRARY_KEY]: clean });
+  return clean;
+}
+
+export async function resetTemplates() {
+  await chrome.storage.local.remove([LIBRARY_KEY]);
+  return defaultTemplates();
+}
+
+export function createTemplate(fields = {}) {
+  return normalizeTemplate({ body: "{join_link}", ...fields, id: undefined });
+}
+
+export function exportTemplatesJson(list) {
+  return JSON.stringify(
+    { version: EXPORT_VERSION, templates: list.map(normalizeTemplate) },
+    null,
+    2,
+  );
+}
+
+// "merge" appends incoming templates (ids already present are replaced in
+// place); "replace" swaps the whole library. Returns the saved list.
+export async function importTemplatesJson(text, { mode = "merge" } = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+  const incoming = (Array.isArray(parsed) ? parsed : parsed?.templates || [])
+    .map(normalizeTemplate)
+    .filter(Boolean);
+  if (!incoming.length) throw new Error("No templates found in that file.");
+
+  if (mode === "replace") return saveTemplates(incoming);
+
+  const current = await loadTemplates();
+  const byId = new Map(current.map((t, i) => [t.id, i]));
+  for (const t of incoming) {
+    if (byId.has(t.id)) current[byId.get(t.id)] = t;
+    else current.push(t);
+  }
+  return saveTemplates(current);
+}